@@ -0,0 +1,49 @@
+// Client Info module entry
+// Loads the classic scripts in dependency order and re-exports what they define,
+// so the library can be used with `import` as well as with <script> tags:
+//
+//   import ClientInfoGatherer from './client-info.mjs';
+//   const gatherer = new ClientInfoGatherer({ render: false, sections: ['browser', 'system'] });
+//   gatherer.addEventListener('section', event => console.log(event.detail.id));
+//   const data = await gatherer.ready;
+
+import './ua-parser.js';
+import './ip-lookup.js';
+import './report-export.js';
+import './report-diff.js';
+import './report-submit.js';
+import './live-monitor.js';
+import './snapshot-store.js';
+import './fingerprint-reference.js';
+import './fingerprint.js';
+import './i18n.js';
+import './safe-render.js';
+import './index.js';
+import './collectors/preferences.js';
+import './collectors/graphics.js';
+import './collectors/media-codecs.js';
+import './collectors/network-measurement.js';
+import './collectors/privacy.js';
+import './collectors/performance.js';
+import './collectors/input.js';
+
+// Imported scripts have no document.currentScript, so tell i18n.js where the
+// catalogs are; a baseUrl from the page's own config still wins
+const config = window.clientInfoConfig = window.clientInfoConfig || {};
+config.i18n = { baseUrl: new URL('./', import.meta.url).href, ...config.i18n };
+
+export const {
+    ClientInfoGatherer,
+    UserAgentParser,
+    IpLookup,
+    ReportExporter,
+    ReportDiff,
+    ReportSubmitter,
+    LiveMonitor,
+    SnapshotStore,
+    FingerprintAnalyzer,
+    SafeRenderer,
+    I18n
+} = window;
+
+export default ClientInfoGatherer;
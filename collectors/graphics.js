@@ -0,0 +1,191 @@
+// Graphics collector
+// Reports the GPU, extensions and limits exposed through WebGL, WebGL 2 and WebGPU
+
+const GRAPHICS_WEBGL_LIMITS = {
+    maxTextureSize: 'MAX_TEXTURE_SIZE',
+    maxCubeMapTextureSize: 'MAX_CUBE_MAP_TEXTURE_SIZE',
+    maxRenderbufferSize: 'MAX_RENDERBUFFER_SIZE',
+    maxViewportDims: 'MAX_VIEWPORT_DIMS',
+    maxTextureImageUnits: 'MAX_TEXTURE_IMAGE_UNITS',
+    maxCombinedTextureImageUnits: 'MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+    maxVertexAttribs: 'MAX_VERTEX_ATTRIBS',
+    maxVertexUniformVectors: 'MAX_VERTEX_UNIFORM_VECTORS',
+    maxFragmentUniformVectors: 'MAX_FRAGMENT_UNIFORM_VECTORS',
+    maxVaryingVectors: 'MAX_VARYING_VECTORS',
+    aliasedLineWidthRange: 'ALIASED_LINE_WIDTH_RANGE',
+    aliasedPointSizeRange: 'ALIASED_POINT_SIZE_RANGE'
+};
+
+const GRAPHICS_WEBGL2_LIMITS = {
+    max3DTextureSize: 'MAX_3D_TEXTURE_SIZE',
+    maxArrayTextureLayers: 'MAX_ARRAY_TEXTURE_LAYERS',
+    maxDrawBuffers: 'MAX_DRAW_BUFFERS',
+    maxColorAttachments: 'MAX_COLOR_ATTACHMENTS',
+    maxSamples: 'MAX_SAMPLES',
+    maxUniformBufferBindings: 'MAX_UNIFORM_BUFFER_BINDINGS',
+    maxTransformFeedbackSeparateComponents: 'MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS'
+};
+
+const GRAPHICS_WEBGPU_LIMITS = [
+    'maxTextureDimension2D',
+    'maxTextureDimension3D',
+    'maxTextureArrayLayers',
+    'maxBindGroups',
+    'maxBufferSize',
+    'maxStorageBufferBindingSize',
+    'maxComputeWorkgroupSizeX',
+    'maxComputeInvocationsPerWorkgroup'
+];
+
+// Typed arrays (e.g. MAX_VIEWPORT_DIMS) are converted so they serialize as JSON arrays
+function readGraphicsParameter(gl, name) {
+    const value = gl.getParameter(gl[name]);
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+function probeWebGL(type) {
+    let canvas;
+    let gl;
+
+    try {
+        canvas = document.createElement('canvas');
+        gl = type === 'webgl'
+            ? canvas.getContext('webgl') || canvas.getContext('experimental-webgl')
+            : canvas.getContext('webgl2');
+    } catch (e) {
+        gl = null;
+    }
+
+    if (!gl) return { supported: false };
+
+    const info = {
+        supported: true,
+        version: gl.getParameter(gl.VERSION),
+        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        vendor: gl.getParameter(gl.VENDOR),
+        renderer: gl.getParameter(gl.RENDERER),
+        unmaskedVendor: 'Not available',
+        unmaskedRenderer: 'Not available',
+        extensions: gl.getSupportedExtensions() || [],
+        limits: {}
+    };
+
+    // Some browsers hide the real GPU unless this extension is available
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    if (debugInfo) {
+        info.unmaskedVendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
+        info.unmaskedRenderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+    }
+
+    const limits = type === 'webgl'
+        ? GRAPHICS_WEBGL_LIMITS
+        : { ...GRAPHICS_WEBGL_LIMITS, ...GRAPHICS_WEBGL2_LIMITS };
+    for (const [key, name] of Object.entries(limits)) {
+        info.limits[key] = readGraphicsParameter(gl, name);
+    }
+
+    const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic')
+        || gl.getExtension('WEBKIT_EXT_texture_filter_anisotropic')
+        || gl.getExtension('MOZ_EXT_texture_filter_anisotropic');
+    info.limits.maxAnisotropy = anisotropic
+        ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT)
+        : 'Not supported';
+
+    // Free the context right away; browsers cap how many can be alive at once
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+
+    return info;
+}
+
+async function probeWebGPU() {
+    if (!navigator.gpu) return { supported: false };
+
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) return { supported: true, adapter: 'No adapter available' };
+
+    // Newer browsers expose adapter.info; older ones only requestAdapterInfo()
+    let adapterInfo = adapter.info;
+    if (!adapterInfo && adapter.requestAdapterInfo) {
+        adapterInfo = await adapter.requestAdapterInfo();
+    }
+
+    const limits = {};
+    for (const name of GRAPHICS_WEBGPU_LIMITS) {
+        if (adapter.limits[name] !== undefined) limits[name] = adapter.limits[name];
+    }
+
+    return {
+        supported: true,
+        adapter: {
+            vendor: (adapterInfo && adapterInfo.vendor) || 'Unknown',
+            architecture: (adapterInfo && adapterInfo.architecture) || 'Unknown',
+            device: (adapterInfo && adapterInfo.device) || 'Unknown',
+            description: (adapterInfo && adapterInfo.description) || 'Unknown',
+            isFallbackAdapter: Boolean(adapter.isFallbackAdapter || (adapterInfo && adapterInfo.isFallbackAdapter))
+        },
+        features: Array.from(adapter.features || []).sort(),
+        limits
+    };
+}
+
+async function gatherGraphics() {
+    return {
+        webGL: probeWebGL('webgl'),
+        webGL2: probeWebGL('webgl2'),
+        webGPU: await probeWebGPU()
+    };
+}
+
+function renderGraphics({ webGL, webGL2, webGPU }) {
+    const best = webGL2.supported ? webGL2 : webGL;
+    const viewportDims = dims => Array.isArray(dims) ? dims.map(dim => I18n.formatNumber(dim)).join(' × ') : dims;
+    const list = items => items && items.length ? items.join(', ') : 'None';
+
+    const items = [
+        ['GPU Vendor', best.supported ? best.unmaskedVendor : 'Not available'],
+        ['GPU Renderer', best.supported ? best.unmaskedRenderer : 'Not available'],
+        ['WebGL', webGL.supported ? webGL.version : 'Not supported'],
+        ['WebGL 2', webGL2.supported ? webGL2.version : 'Not supported']
+    ];
+
+    if (best.supported) {
+        items.push(
+            ['GLSL Version', best.shadingLanguageVersion],
+            ['Max Texture Size', best.limits.maxTextureSize],
+            ['Max Viewport Dims', viewportDims(best.limits.maxViewportDims)],
+            ['Max Renderbuffer Size', best.limits.maxRenderbufferSize],
+            ['Max Anisotropy', best.limits.maxAnisotropy]
+        );
+    }
+    if (webGL2.supported) {
+        items.push(
+            ['Max 3D Texture Size', webGL2.limits.max3DTextureSize],
+            ['Max Samples (MSAA)', webGL2.limits.maxSamples]
+        );
+    }
+    if (webGL.supported) items.push(['WebGL Extensions', list(webGL.extensions)]);
+    if (webGL2.supported) items.push(['WebGL 2 Extensions', list(webGL2.extensions)]);
+
+    if (!webGPU.supported) {
+        items.push(['WebGPU', 'Not supported']);
+    } else if (typeof webGPU.adapter !== 'object') {
+        items.push(['WebGPU', I18n.t(webGPU.adapter)]);
+    } else {
+        items.push(
+            ['WebGPU Adapter', [webGPU.adapter.vendor, webGPU.adapter.architecture].join(' / ')],
+            ['WebGPU Fallback Adapter', webGPU.adapter.isFallbackAdapter],
+            ['WebGPU Features', list(webGPU.features)],
+            ...Object.entries(webGPU.limits).map(([name, value]) => [`WebGPU ${name}`, value])
+        );
+    }
+
+    return items;
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'graphics',
+    title: '🎮 Graphics',
+    gather: gatherGraphics,
+    render: renderGraphics
+});
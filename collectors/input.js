@@ -0,0 +1,188 @@
+// Input & Peripherals collector
+// Lists connected gamepads and media devices, the pointer types actually used on
+// this page, and which sensor, peripheral and keyboard APIs the browser exposes
+
+const INPUT_SENSORS = [
+    'Accelerometer',
+    'LinearAccelerationSensor',
+    'GravitySensor',
+    'Gyroscope',
+    'AbsoluteOrientationSensor',
+    'RelativeOrientationSensor',
+    'Magnetometer',
+    'AmbientLightSensor'
+];
+
+const INPUT_PERIPHERAL_APIS = [
+    { key: 'hid', label: 'WebHID' },
+    { key: 'usb', label: 'WebUSB' },
+    { key: 'serial', label: 'Web Serial' },
+    { key: 'bluetooth', label: 'Web Bluetooth' }
+];
+
+const INPUT_DEVICE_KINDS = ['audioinput', 'audiooutput', 'videoinput'];
+
+// Placeholders stored in place of a device label or a gamepad mapping
+const INPUT_LABEL_HIDDEN = 'Label hidden';
+const INPUT_NON_STANDARD_MAPPING = 'Non-standard';
+
+const INPUT_DEVICE_LABELS = {
+    audioinput: 'Microphones',
+    audiooutput: 'Speakers',
+    videoinput: 'Cameras'
+};
+
+// Keys whose character shows the layout at a glance (QWERTY, AZERTY, QWERTZ, ...)
+const INPUT_LAYOUT_KEYS = ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY'];
+
+// Support flags only say a pointer API exists; this records the pointerType of the
+// events the page really receives. Live mode listens for `change`.
+const inputPointerTypes = Object.assign(new EventTarget(), { seen: [] });
+
+for (const event of ['pointerdown', 'pointermove']) {
+    window.addEventListener(event, ({ pointerType }) => {
+        if (!pointerType || inputPointerTypes.seen.includes(pointerType)) return;
+        inputPointerTypes.seen.push(pointerType);
+        inputPointerTypes.dispatchEvent(new Event('change'));
+    }, { capture: true, passive: true });
+}
+
+// Browsers only expose a gamepad after one of its buttons was pressed on this page
+function gatherGamepads() {
+    if (!navigator.getGamepads) return 'Not supported';
+
+    let gamepads;
+    try {
+        gamepads = Array.from(navigator.getGamepads());
+    } catch (e) {
+        // Blocked by a permissions policy or an insecure context
+        return 'Not available';
+    }
+
+    return gamepads.filter(Boolean).map(gamepad => ({
+        index: gamepad.index,
+        id: gamepad.id,
+        // An empty mapping means the buttons are in the device's own order
+        mapping: gamepad.mapping || INPUT_NON_STANDARD_MAPPING,
+        axes: gamepad.axes.length,
+        buttons: gamepad.buttons.length,
+        vibration: gamepad.vibrationActuator ? gamepad.vibrationActuator.type || 'Supported' : 'Not supported'
+    }));
+}
+
+// Labels stay empty until the page has been granted camera or microphone access
+async function gatherMediaDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return 'Not supported';
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const byKind = Object.fromEntries(INPUT_DEVICE_KINDS.map(kind => [kind, []]));
+
+    for (const device of devices) {
+        if (!byKind[device.kind]) continue;
+        byKind[device.kind].push(device.label || INPUT_LABEL_HIDDEN);
+    }
+
+    return byKind;
+}
+
+function gatherSensors() {
+    return Object.fromEntries(INPUT_SENSORS.map(name => [name, typeof window[name] === 'function']));
+}
+
+function gatherPeripheralApis() {
+    return Object.fromEntries(INPUT_PERIPHERAL_APIS.map(({ key }) => [key, Boolean(navigator[key])]));
+}
+
+async function gatherKeyboardLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return 'Not supported';
+
+    try {
+        const layoutMap = await navigator.keyboard.getLayoutMap();
+        return {
+            keys: layoutMap.size,
+            sample: INPUT_LAYOUT_KEYS.map(code => layoutMap.get(code) || '?').join('')
+        };
+    } catch (e) {
+        // Refused in frames and in the background
+        return 'Not available';
+    }
+}
+
+async function gatherInput() {
+    const [mediaDevices, keyboardLayout] = await Promise.all([
+        gatherMediaDevices(),
+        gatherKeyboardLayout()
+    ]);
+
+    return {
+        gamepads: gatherGamepads(),
+        mediaDevices,
+        pointerTypesSeen: [...inputPointerTypes.seen],
+        keyboardLayout,
+        sensors: gatherSensors(),
+        peripherals: gatherPeripheralApis()
+    };
+}
+
+function renderInput(input, gatherer) {
+    const { gamepads, mediaDevices, keyboardLayout, sensors, peripherals } = input;
+    const list = items => items.length ? items.join(', ') : 'None';
+
+    const items = [
+        ['Pointer Types Seen', input.pointerTypesSeen.length ? input.pointerTypesSeen.join(', ') : I18n.t('No pointer events yet')]
+    ];
+
+    if (typeof mediaDevices === 'object') {
+        items.push(...INPUT_DEVICE_KINDS.map(kind => [
+            INPUT_DEVICE_LABELS[kind],
+            // Device names are shown as reported; only the placeholder is translated
+            mediaDevices[kind].length
+                ? mediaDevices[kind].map(label => (label === INPUT_LABEL_HIDDEN ? I18n.t(label) : label)).join(', ')
+                : 'None'
+        ]));
+    } else {
+        items.push(['Media Devices', mediaDevices]);
+    }
+
+    items.push(
+        ['Keyboard Layout', typeof keyboardLayout === 'object'
+            ? I18n.plural(keyboardLayout.keys, '{sample} ({count} key)', '{sample} ({count} keys)', { sample: keyboardLayout.sample })
+            : keyboardLayout],
+        ['Generic Sensors', list(INPUT_SENSORS.filter(name => sensors[name]))],
+        ...INPUT_PERIPHERAL_APIS.map(({ key, label }) => [label, peripherals[key] ? 'Supported' : 'Not supported'])
+    );
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(gatherer.createInfoItems(items));
+
+    if (Array.isArray(gamepads) && gamepads.length) {
+        fragment.appendChild(gatherer.createTable(
+            ['Gamepad', 'Mapping', 'Axes', 'Buttons', 'Vibration'],
+            gamepads.map(gamepad => [
+                `${gamepad.index}: ${gamepad.id}`,
+                gamepad.mapping === INPUT_NON_STANDARD_MAPPING ? I18n.t(gamepad.mapping) : gamepad.mapping,
+                gamepad.axes,
+                gamepad.buttons,
+                gamepad.vibration
+            ])
+        ));
+    } else {
+        fragment.appendChild(gatherer.createInfoItems([
+            ['Gamepads', Array.isArray(gamepads) ? I18n.t('None connected (press a button to show one)') : gamepads]
+        ]));
+    }
+
+    return fragment;
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'input',
+    title: '🕹️ Input & Peripherals',
+    gather: gatherInput,
+    render: renderInput,
+    watch: [
+        { target: () => window, events: ['gamepadconnected', 'gamepaddisconnected'] },
+        { target: () => navigator.mediaDevices, events: ['devicechange'] },
+        { target: () => inputPointerTypes, events: ['change'] }
+    ]
+});
@@ -0,0 +1,175 @@
+// Media Codecs collector
+// Probes container/codec support through MediaSource, canPlayType and
+// MediaCapabilities, and DRM key systems through EME
+
+// Override with window.clientInfoConfig.mediaCodecs to probe a different list
+const MEDIA_CODEC_PROBES = [
+    { name: 'H.264 Baseline', kind: 'video', mimeType: 'video/mp4; codecs="avc1.42E01E"' },
+    { name: 'H.264 Main', kind: 'video', mimeType: 'video/mp4; codecs="avc1.4D401F"' },
+    { name: 'H.264 High', kind: 'video', mimeType: 'video/mp4; codecs="avc1.640028"' },
+    { name: 'HEVC Main', kind: 'video', mimeType: 'video/mp4; codecs="hvc1.1.6.L93.B0"' },
+    { name: 'HEVC Main 10', kind: 'video', mimeType: 'video/mp4; codecs="hvc1.2.4.L153.B0"' },
+    { name: 'VP8 (WebM)', kind: 'video', mimeType: 'video/webm; codecs="vp8"' },
+    { name: 'VP9 Profile 0', kind: 'video', mimeType: 'video/webm; codecs="vp09.00.10.08"' },
+    { name: 'VP9 Profile 2 (10-bit)', kind: 'video', mimeType: 'video/webm; codecs="vp09.02.10.10"' },
+    { name: 'AV1 Main', kind: 'video', mimeType: 'video/mp4; codecs="av01.0.08M.08"' },
+    { name: 'AV1 Main 10-bit', kind: 'video', mimeType: 'video/mp4; codecs="av01.0.08M.10"' },
+    { name: 'AAC-LC', kind: 'audio', mimeType: 'audio/mp4; codecs="mp4a.40.2"' },
+    { name: 'HE-AAC', kind: 'audio', mimeType: 'audio/mp4; codecs="mp4a.40.5"' },
+    { name: 'Opus (WebM)', kind: 'audio', mimeType: 'audio/webm; codecs="opus"' },
+    { name: 'Opus (MP4)', kind: 'audio', mimeType: 'audio/mp4; codecs="opus"' },
+    { name: 'FLAC (MP4)', kind: 'audio', mimeType: 'audio/mp4; codecs="flac"' },
+    { name: 'FLAC', kind: 'audio', mimeType: 'audio/flac' },
+    { name: 'Vorbis (WebM)', kind: 'audio', mimeType: 'audio/webm; codecs="vorbis"' }
+];
+
+// Robustness levels are tried from strongest to weakest; the first accepted one is reported
+const MEDIA_KEY_SYSTEMS = [
+    {
+        name: 'Widevine',
+        keySystem: 'com.widevine.alpha',
+        initDataTypes: ['cenc'],
+        robustness: ['HW_SECURE_ALL', 'HW_SECURE_DECODE', 'HW_SECURE_CRYPTO', 'SW_SECURE_DECODE', 'SW_SECURE_CRYPTO', '']
+    },
+    {
+        name: 'PlayReady',
+        keySystem: 'com.microsoft.playready.recommendation',
+        initDataTypes: ['cenc'],
+        robustness: ['3000', '2000', '']
+    },
+    {
+        name: 'PlayReady (legacy)',
+        keySystem: 'com.microsoft.playready',
+        initDataTypes: ['cenc'],
+        robustness: ['']
+    },
+    {
+        name: 'FairPlay',
+        keySystem: 'com.apple.fps',
+        initDataTypes: ['sinf', 'skd'],
+        robustness: ['']
+    },
+    {
+        name: 'ClearKey',
+        keySystem: 'org.w3.clearkey',
+        initDataTypes: ['cenc', 'keyids', 'webm'],
+        robustness: ['']
+    }
+];
+
+const MEDIA_DECODING_VIDEO = { width: 1920, height: 1080, bitrate: 5000000, framerate: 30 };
+const MEDIA_DECODING_AUDIO = { channels: '2', bitrate: 128000, samplerate: 48000 };
+
+async function probeCodec({ name, kind, mimeType }) {
+    const result = { name, kind, mimeType };
+
+    result.mediaSource = window.MediaSource && MediaSource.isTypeSupported
+        ? MediaSource.isTypeSupported(mimeType)
+        : 'Not supported';
+
+    const element = document.createElement(kind);
+    result.canPlayType = element.canPlayType ? element.canPlayType(mimeType) || 'no' : 'Not supported';
+
+    if (!navigator.mediaCapabilities) {
+        result.decoding = 'Not supported';
+        return result;
+    }
+
+    try {
+        const info = await navigator.mediaCapabilities.decodingInfo({
+            type: window.MediaSource ? 'media-source' : 'file',
+            [kind]: { contentType: mimeType, ...(kind === 'video' ? MEDIA_DECODING_VIDEO : MEDIA_DECODING_AUDIO) }
+        });
+        result.decoding = {
+            supported: info.supported,
+            smooth: info.smooth,
+            powerEfficient: info.powerEfficient
+        };
+    } catch (error) {
+        result.decoding = `Error: ${error.message}`;
+    }
+
+    return result;
+}
+
+async function probeKeySystem({ name, keySystem, initDataTypes, robustness }) {
+    const result = { name, keySystem, supported: false };
+
+    if (!navigator.requestMediaKeySystemAccess) {
+        result.note = window.isSecureContext ? 'EME not supported' : 'Requires a secure context';
+        return result;
+    }
+
+    for (const level of robustness) {
+        try {
+            await navigator.requestMediaKeySystemAccess(keySystem, [{
+                initDataTypes,
+                videoCapabilities: [{ contentType: 'video/mp4; codecs="avc1.42E01E"', robustness: level }],
+                audioCapabilities: [{ contentType: 'audio/mp4; codecs="mp4a.40.2"' }]
+            }]);
+
+            result.supported = true;
+            result.robustness = level || 'Default';
+            return result;
+        } catch (e) {
+            // Try the next, weaker robustness level
+        }
+    }
+
+    return result;
+}
+
+async function gatherMediaCodecs() {
+    const config = window.clientInfoConfig && window.clientInfoConfig.mediaCodecs;
+    const probes = config || MEDIA_CODEC_PROBES;
+
+    const [codecs, keySystems] = await Promise.all([
+        Promise.all(probes.map(probeCodec)),
+        Promise.all(MEDIA_KEY_SYSTEMS.map(probeKeySystem))
+    ]);
+
+    return { codecs, keySystems };
+}
+
+function renderMediaCodecs({ codecs, keySystems }, gatherer) {
+    const mark = value => {
+        if (value === true) return '✓';
+        if (value === false) return '✗';
+        return value === undefined ? '—' : String(value);
+    };
+    const decoding = (codec, key) => typeof codec.decoding === 'object' ? mark(codec.decoding[key]) : codec.decoding;
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(
+        gatherer.createTable(
+            ['Codec', 'MIME Type', 'MSE', 'canPlayType', 'Decodes', 'Smooth', 'Power Efficient'],
+            codecs.map(codec => [
+                codec.name,
+                codec.mimeType,
+                mark(codec.mediaSource),
+                codec.canPlayType,
+                decoding(codec, 'supported'),
+                decoding(codec, 'smooth'),
+                decoding(codec, 'powerEfficient')
+            ])
+        ),
+        gatherer.createTable(
+            ['Key System', 'ID', 'Supported', 'Robustness'],
+            keySystems.map(system => [
+                system.name,
+                system.keySystem,
+                system.note ? I18n.t(system.note) : mark(system.supported),
+                system.robustness === 'Default' ? I18n.t(system.robustness) : system.robustness || '—'
+            ])
+        )
+    );
+
+    return fragment;
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'media',
+    title: '🎬 Media Codecs & DRM',
+    gather: gatherMediaCodecs,
+    render: renderMediaCodecs
+});
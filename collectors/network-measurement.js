@@ -0,0 +1,278 @@
+// Network Measurement collector
+// Times requests against a same-origin endpoint for RTT, jitter and throughput,
+// and lists the ICE candidates WebRTC discovers
+//
+// Active tests only run against an endpoint that is configured on purpose, either
+// window.clientInfoConfig.measurement.endpoint or ?measureEndpoint=<path>. The
+// endpoint must answer GET <endpoint>/ping, GET <endpoint>/download?bytes=N and
+// POST <endpoint>/upload; tools/dev-server.js provides all three.
+
+const MEASUREMENT_DEFAULTS = {
+    endpoint: null,
+    samples: 10,
+    downloadBytes: 2 * 1024 * 1024,
+    uploadBytes: 512 * 1024,
+    timeout: 10000,
+    stunServers: [],
+    iceTimeout: 3000
+};
+
+// Each sample is one request, so ?measureSamples= cannot keep the section running for long
+const MEASUREMENT_MAX_SAMPLES = 50;
+
+// stun:<host>[:<port>] or stuns:..., with IPv6 hosts in brackets (RFC 7064)
+const MEASUREMENT_STUN_URI = /^stuns?:(\[[^\]]+\]|[^:/?#]+)(?::\d+)?$/i;
+
+// A STUN server learns the visitor's public address, so ?stun= may only name
+// this page's own host; other servers have to come from the config
+function isOwnStunServer(server) {
+    const match = MEASUREMENT_STUN_URI.exec(server);
+    return Boolean(match) && match[1].toLowerCase() === location.hostname.toLowerCase();
+}
+
+function resolveMeasurementOptions(search = location.search) {
+    const config = window.clientInfoConfig && window.clientInfoConfig.measurement;
+    const options = { ...MEASUREMENT_DEFAULTS, ...config };
+    const params = new URLSearchParams(search);
+
+    // Like ?supportEndpoint=, a link may only point the tests at this page's own origin
+    const override = params.get('measureEndpoint');
+    if (override) {
+        try {
+            const url = new URL(override, location.href);
+            if (url.origin === location.origin) options.endpoint = url.toString();
+        } catch (e) {
+            // A malformed URL is ignored like a foreign one
+        }
+    }
+
+    if (params.get('measureSamples')) options.samples = Number(params.get('measureSamples'));
+    const stunServers = params.getAll('stun').filter(isOwnStunServer);
+    if (stunServers.length) options.stunServers = stunServers;
+
+    options.samples = Number.isInteger(options.samples)
+        ? Math.min(Math.max(options.samples, 1), MEASUREMENT_MAX_SAMPLES)
+        : MEASUREMENT_DEFAULTS.samples;
+    options.endpoint = options.endpoint && options.endpoint.replace(/\/+$/, '');
+    return options;
+}
+
+async function timedFetch(url, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const started = performance.now();
+
+    try {
+        const response = await fetch(url, { ...options, cache: 'no-store', signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const body = await response.arrayBuffer();
+        return { duration: performance.now() - started, bytes: body.byteLength };
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`Timed out after ${timeout} ms`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const roundMs = value => Math.round(value * 10) / 10;
+
+async function measureLatency({ endpoint, samples, timeout }) {
+    const durations = [];
+    let failed = 0;
+
+    // The first request also pays for DNS/TCP/TLS setup, so it is not counted
+    await timedFetch(`${endpoint}/ping?warmup=${Date.now()}`, {}, timeout).catch(() => {});
+
+    for (let i = 0; i < samples; i++) {
+        try {
+            const { duration } = await timedFetch(`${endpoint}/ping?n=${i}&t=${Date.now()}`, {}, timeout);
+            durations.push(duration);
+        } catch (e) {
+            failed++;
+        }
+    }
+
+    if (!durations.length) throw new Error('Every latency sample failed');
+
+    const sorted = durations.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+    // Jitter as the mean difference between consecutive samples (RFC 3550 style)
+    const deltas = durations.slice(1).map((duration, index) => Math.abs(duration - durations[index]));
+    const jitter = deltas.length ? deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length : 0;
+
+    return {
+        samples: durations.map(roundMs),
+        failed,
+        min: roundMs(sorted[0]),
+        median: roundMs(median),
+        max: roundMs(sorted[sorted.length - 1]),
+        jitter: roundMs(jitter)
+    };
+}
+
+const toMbps = (bytes, duration) => Math.round((bytes * 8) / (duration / 1000) / 1e4) / 100;
+
+async function measureDownload({ endpoint, downloadBytes, timeout }) {
+    const { duration, bytes } = await timedFetch(
+        `${endpoint}/download?bytes=${downloadBytes}&t=${Date.now()}`, {}, timeout
+    );
+    return { bytes, duration: roundMs(duration), mbps: toMbps(bytes, duration) };
+}
+
+async function measureUpload({ endpoint, uploadBytes, timeout }) {
+    const payload = new Uint8Array(uploadBytes);
+    const { duration } = await timedFetch(`${endpoint}/upload?t=${Date.now()}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: payload
+    }, timeout);
+    return { bytes: uploadBytes, duration: roundMs(duration), mbps: toMbps(uploadBytes, duration) };
+}
+
+// "candidate:1 1 udp 2122260223 192.0.2.10 54321 typ host generation 0 ..."
+function parseIceCandidate(candidate) {
+    const parts = candidate.replace(/^candidate:/, '').split(' ');
+    const typeIndex = parts.indexOf('typ');
+    const address = parts[4] || '';
+
+    return {
+        protocol: (parts[2] || '').toLowerCase(),
+        address,
+        port: Number(parts[5]),
+        type: typeIndex >= 0 ? parts[typeIndex + 1] : 'unknown',
+        mdns: address.endsWith('.local')
+    };
+}
+
+async function gatherIceCandidates({ stunServers, iceTimeout }) {
+    if (!window.RTCPeerConnection) return { supported: false };
+
+    const connection = new RTCPeerConnection({
+        iceServers: stunServers.map(urls => ({ urls }))
+    });
+    const candidates = [];
+
+    try {
+        const complete = new Promise(resolve => {
+            const timer = setTimeout(resolve, iceTimeout);
+            connection.addEventListener('icecandidate', event => {
+                if (event.candidate && event.candidate.candidate) {
+                    candidates.push(parseIceCandidate(event.candidate.candidate));
+                } else if (!event.candidate) {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+
+        // A data channel is enough to make the browser start gathering
+        connection.createDataChannel('probe');
+        await connection.setLocalDescription(await connection.createOffer());
+        await complete;
+    } finally {
+        connection.close();
+    }
+
+    const byType = type => candidates.filter(candidate => candidate.type === type);
+    const unique = list => [...new Set(list.map(candidate => candidate.address))];
+
+    return {
+        supported: true,
+        stunServers,
+        candidates,
+        hostAddresses: unique(byType('host').filter(candidate => !candidate.mdns)),
+        mdnsHostnames: unique(byType('host').filter(candidate => candidate.mdns)),
+        serverReflexiveAddresses: unique(byType('srflx')),
+        relayAddresses: unique(byType('relay'))
+    };
+}
+
+// Each measurement fails on its own, so a broken upload route still reports latency
+async function settleMeasurement(promise) {
+    try {
+        return await promise;
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+async function gatherNetworkMeasurement() {
+    const options = resolveMeasurementOptions();
+    const measurement = {};
+
+    if (!options.endpoint) {
+        measurement.status = 'skipped';
+        measurement.reason = 'No measurement endpoint configured';
+    } else {
+        measurement.status = 'ok';
+        measurement.endpoint = options.endpoint;
+        measurement.latency = await settleMeasurement(measureLatency(options));
+        measurement.download = await settleMeasurement(measureDownload(options));
+        measurement.upload = await settleMeasurement(measureUpload(options));
+    }
+
+    measurement.ice = await settleMeasurement(gatherIceCandidates(options));
+    return measurement;
+}
+
+function renderNetworkMeasurement(measurement) {
+    const describe = (result, format) => {
+        if (!result) return I18n.t('Not measured');
+        return result.error ? I18n.t('Failed: {reason}', { reason: result.error }) : format(result);
+    };
+    const throughput = r => I18n.t('{speed} ({bytes} in {duration})', {
+        speed: I18n.formatUnit(r.mbps, 'Mbps'),
+        bytes: I18n.formatUnit(r.bytes, 'bytes'),
+        duration: I18n.formatUnit(r.duration, 'ms')
+    });
+    const list = items => items && items.length ? items.join(', ') : 'None';
+    const { latency, download, upload, ice } = measurement;
+
+    const items = [];
+
+    if (measurement.status === 'skipped') {
+        items.push(['Active Tests', I18n.t('Skipped: {reason}', { reason: I18n.t(measurement.reason) })]);
+    } else {
+        items.push(
+            ['Endpoint', measurement.endpoint],
+            ['Round Trip Time', describe(latency, r => I18n.plural(r.samples.length,
+                '{median} median ({min}–{max}, {count} sample)', '{median} median ({min}–{max}, {count} samples)', {
+                    median: I18n.formatUnit(r.median, 'ms'),
+                    min: I18n.formatUnit(r.min, 'ms'),
+                    max: I18n.formatUnit(r.max, 'ms')
+                }))],
+            ['Jitter', describe(latency, r => r.jitter), 'ms'],
+            ['Failed Samples', describe(latency, r => r.failed)],
+            ['Download Throughput', describe(download, throughput)],
+            ['Upload Throughput', describe(upload, throughput)]
+        );
+    }
+
+    if (ice.error) {
+        items.push(['ICE Candidates', I18n.t('Failed: {reason}', { reason: ice.error })]);
+    } else if (!ice.supported) {
+        items.push(['ICE Candidates', I18n.t('WebRTC not supported')]);
+    } else {
+        items.push(
+            ['ICE Candidates', ice.candidates.length],
+            ['Local Addresses', list(ice.hostAddresses)],
+            ['mDNS Hostnames', list(ice.mdnsHostnames)],
+            ['STUN Servers', list(ice.stunServers)],
+            ['Server Reflexive (srflx)', ice.stunServers.length ? list(ice.serverReflexiveAddresses) : I18n.t('No STUN server configured')],
+            ['Relay Addresses', list(ice.relayAddresses)]
+        );
+    }
+
+    return items;
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'measurement',
+    title: '📶 Network Measurement',
+    gather: gatherNetworkMeasurement,
+    render: renderNetworkMeasurement
+});
@@ -0,0 +1,302 @@
+// Performance collector
+// Reports this page's navigation and IP lookup timings, paint metrics and Core Web
+// Vitals, memory hints and a short CPU benchmark for comparing devices
+
+const PERFORMANCE_BENCHMARK_ROUNDS = 5;
+const PERFORMANCE_BENCHMARK_ROUND_MS = 30;
+const PERFORMANCE_LOOKUP_WAIT = 15000;
+
+// CLS groups shifts into windows of at most 5 s with gaps under 1 s, and reports the worst
+const PERFORMANCE_CLS_GAP = 1000;
+const PERFORMANCE_CLS_WINDOW = 5000;
+
+// Web Vitals keep changing while the page is used; live mode listens for `change`
+const performanceVitals = Object.assign(new EventTarget(), {
+    lcp: null,
+    cls: 0,
+    clsWindow: { value: 0, start: 0, last: 0 },
+    interactions: new Map()
+});
+
+function observePerformance(type, onEntries, options = {}) {
+    if (!window.PerformanceObserver || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) return false;
+
+    new PerformanceObserver(list => {
+        onEntries(list.getEntries());
+        performanceVitals.dispatchEvent(new Event('change'));
+    }).observe({ type, buffered: true, ...options });
+    return true;
+}
+
+performanceVitals.supported = {
+    lcp: observePerformance('largest-contentful-paint', entries => {
+        const entry = entries[entries.length - 1];
+        performanceVitals.lcp = {
+            time: entry.startTime,
+            size: entry.size,
+            element: entry.element ? entry.element.tagName.toLowerCase() : 'Unknown'
+        };
+    }),
+    cls: observePerformance('layout-shift', entries => {
+        const session = performanceVitals.clsWindow;
+
+        for (const entry of entries) {
+            // Shifts right after user input are expected and do not count
+            if (entry.hadRecentInput) continue;
+
+            const startsNewWindow = entry.startTime - session.last > PERFORMANCE_CLS_GAP
+                || entry.startTime - session.start > PERFORMANCE_CLS_WINDOW;
+            if (startsNewWindow) {
+                session.value = 0;
+                session.start = entry.startTime;
+            }
+            session.value += entry.value;
+            session.last = entry.startTime;
+            performanceVitals.cls = Math.max(performanceVitals.cls, session.value);
+        }
+    }),
+    // Every event of one interaction shares its interactionId; the interaction lasts
+    // as long as its slowest event
+    inp: observePerformance('event', entries => {
+        for (const entry of entries) {
+            if (!entry.interactionId) continue;
+            const previous = performanceVitals.interactions.get(entry.interactionId) || 0;
+            performanceVitals.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+        }
+    }, { durationThreshold: 16 })
+};
+
+const roundPerformanceMs = value => Math.round(value * 10) / 10;
+
+function gatherNavigationTiming() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+    if (!navigation) return 'Not supported';
+
+    const span = (start, end) => (start > 0 || end > 0) && end >= start ? roundPerformanceMs(end - start) : 'Not available';
+
+    return {
+        type: navigation.type,
+        protocol: navigation.nextHopProtocol || 'Unknown',
+        redirect: navigation.redirectEnd ? span(navigation.redirectStart, navigation.redirectEnd) : 'None',
+        dns: span(navigation.domainLookupStart, navigation.domainLookupEnd),
+        tcp: span(navigation.connectStart, navigation.secureConnectionStart || navigation.connectEnd),
+        tls: navigation.secureConnectionStart ? span(navigation.secureConnectionStart, navigation.connectEnd) : 'Not used',
+        request: span(navigation.requestStart, navigation.responseStart),
+        ttfb: roundPerformanceMs(navigation.responseStart),
+        download: span(navigation.responseStart, navigation.responseEnd),
+        domInteractive: roundPerformanceMs(navigation.domInteractive),
+        domContentLoaded: roundPerformanceMs(navigation.domContentLoadedEventEnd),
+        load: navigation.loadEventEnd ? roundPerformanceMs(navigation.loadEventEnd) : 'Not reached yet',
+        transferSize: navigation.transferSize
+    };
+}
+
+// The lookup requests finish independently of this section, so wait for the network
+// section before reading their resource entries
+function waitForSection(gatherer, id, timeout) {
+    const pending = gatherer.collectors.some(collector => collector.id === id) && gatherer.data[id] === undefined;
+    if (!pending) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            gatherer.removeEventListener('section', onSection);
+            resolve();
+        };
+        const onSection = event => {
+            if (event.detail.id === id) done();
+        };
+        const timer = setTimeout(done, timeout);
+        gatherer.addEventListener('section', onSection);
+    });
+}
+
+function gatherLookupTimings() {
+    if (!performance.getEntriesByType) return 'Not supported';
+
+    const options = IpLookup.resolveOptions();
+    if (!options.enabled) return 'Not looked up';
+
+    const providers = new Map(options.providers.map(provider => [new URL(provider.url, location.href).href, provider.name]));
+
+    return performance.getEntriesByType('resource')
+        .filter(entry => providers.has(entry.name))
+        .map(entry => ({
+            provider: providers.get(entry.name),
+            url: entry.name,
+            duration: roundPerformanceMs(entry.duration),
+            // Cross-origin detail is zeroed unless the provider sends Timing-Allow-Origin
+            ttfb: entry.responseStart ? roundPerformanceMs(entry.responseStart - entry.startTime) : 'Not exposed',
+            transferSize: entry.responseStart ? entry.transferSize : 'Not exposed'
+        }));
+}
+
+function gatherPaintTiming() {
+    const paints = performance.getEntriesByType ? performance.getEntriesByType('paint') : [];
+    const find = name => {
+        const entry = paints.find(paint => paint.name === name);
+        return entry ? roundPerformanceMs(entry.startTime) : 'Not available';
+    };
+
+    return { firstPaint: find('first-paint'), firstContentfulPaint: find('first-contentful-paint') };
+}
+
+// INP is the slowest interaction, except that one of the slowest is ignored for
+// every 50 recorded, so a single outlier on a long-lived page does not decide it
+function estimateInp(interactions) {
+    const durations = [...interactions.values()].sort((x, y) => y - x);
+    return durations[Math.floor(durations.length / 50)];
+}
+
+function gatherWebVitals() {
+    const { supported, lcp, cls, interactions } = performanceVitals;
+
+    return {
+        lcp: !supported.lcp ? 'Not supported' : lcp ? { ...lcp, time: roundPerformanceMs(lcp.time) } : 'Not available',
+        cls: supported.cls ? Math.round(cls * 1000) / 1000 : 'Not supported',
+        inp: !supported.inp ? 'Not supported'
+            : interactions.size ? estimateInp(interactions) : 'No interactions yet',
+        interactions: interactions.size
+    };
+}
+
+function gatherMemory() {
+    const memory = performance.memory;
+
+    return {
+        deviceMemory: navigator.deviceMemory === undefined ? 'Not supported' : navigator.deviceMemory,
+        jsHeap: memory ? {
+            used: memory.usedJSHeapSize,
+            total: memory.totalJSHeapSize,
+            limit: memory.jsHeapSizeLimit
+        } : 'Not supported'
+    };
+}
+
+// Mixed integer, floating point, string and array work. Each round counts how many
+// iterations fit in a fixed time; the best round is reported, since the others were
+// more likely interrupted. Rounds yield in between so the page stays responsive.
+async function runCpuBenchmark() {
+    const iteration = seed => {
+        let value = seed;
+        for (let i = 0; i < 200; i++) value = (value * 1103515245 + 12345) % 2147483648;
+
+        const numbers = Array.from({ length: 64 }, (_, i) => Math.sin(value + i));
+        numbers.sort((a, b) => a - b);
+
+        return numbers[0] + JSON.stringify(numbers.slice(0, 4)).length + value.toString(36).length;
+    };
+
+    const rounds = [];
+    let sink = 0;
+
+    for (let round = 0; round < PERFORMANCE_BENCHMARK_ROUNDS; round++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const started = performance.now();
+        let iterations = 0;
+        while (performance.now() - started < PERFORMANCE_BENCHMARK_ROUND_MS) {
+            sink += iteration(iterations++);
+        }
+        rounds.push(Math.round(iterations / ((performance.now() - started) / 1000)));
+    }
+
+    return {
+        // Iterations per second in the best round; higher is faster
+        score: Math.max(...rounds),
+        rounds,
+        checksum: Number.isFinite(sink) ? 'ok' : 'invalid'
+    };
+}
+
+// Live updates re-gather this section whenever a vital changes, so the benchmark
+// runs once per page load and later gathers reuse its result
+let performanceBenchmark = null;
+
+async function gatherPerformance(gatherer) {
+    if (!window.performance) return { supported: false };
+
+    await waitForSection(gatherer, 'network', PERFORMANCE_LOOKUP_WAIT);
+
+    return {
+        supported: true,
+        navigation: gatherNavigationTiming(),
+        paint: gatherPaintTiming(),
+        webVitals: gatherWebVitals(),
+        lookupRequests: gatherLookupTimings(),
+        memory: gatherMemory(),
+        cpuBenchmark: await (performanceBenchmark = performanceBenchmark || runCpuBenchmark())
+    };
+}
+
+function renderPerformance(performanceData, gatherer) {
+    if (!performanceData.supported) return [['Performance API', 'Not supported']];
+
+    const { navigation, paint, webVitals, lookupRequests, memory, cpuBenchmark } = performanceData;
+    // Timings are numbers; a string in their place is one of this section's placeholders
+    const placeholder = value => typeof value === 'string' ? I18n.t(value) : value;
+    const items = [];
+
+    if (typeof navigation === 'object') {
+        items.push(
+            ['Navigation Type', navigation.type],
+            ['Protocol', navigation.protocol],
+            ['Redirects', navigation.redirect, 'ms'],
+            ['DNS Lookup', navigation.dns, 'ms'],
+            ['TCP Connect', navigation.tcp, 'ms'],
+            ['TLS Handshake', placeholder(navigation.tls), 'ms'],
+            ['Request to First Byte', navigation.request, 'ms'],
+            ['Time to First Byte', navigation.ttfb, 'ms'],
+            ['Document Download', navigation.download, 'ms'],
+            ['DOM Interactive', navigation.domInteractive, 'ms'],
+            ['DOMContentLoaded', navigation.domContentLoaded, 'ms'],
+            ['Load Event', placeholder(navigation.load), 'ms'],
+            ['Document Transfer Size', navigation.transferSize, 'bytes']
+        );
+    } else {
+        items.push(['Navigation Timing', navigation]);
+    }
+
+    items.push(
+        ['First Paint', paint.firstPaint, 'ms'],
+        ['First Contentful Paint', paint.firstContentfulPaint, 'ms'],
+        ['Largest Contentful Paint', typeof webVitals.lcp === 'object'
+            ? `${I18n.formatUnit(webVitals.lcp.time, 'ms')} (<${webVitals.lcp.element}>)`
+            : webVitals.lcp],
+        ['Cumulative Layout Shift', webVitals.cls],
+        ['Interaction to Next Paint', placeholder(webVitals.inp), 'ms'],
+        ['Interactions Measured', webVitals.interactions],
+        ['Device Memory', memory.deviceMemory, 'GB'],
+        ['JS Heap', typeof memory.jsHeap === 'object' ? I18n.t('{used} used of {limit}', {
+            used: I18n.formatUnit(Math.round(memory.jsHeap.used / 1024 / 1024), 'MB'),
+            limit: I18n.formatUnit(Math.round(memory.jsHeap.limit / 1024 / 1024), 'MB')
+        }) : memory.jsHeap],
+        ['CPU Benchmark Score', cpuBenchmark.score, 'iterations/s']
+    );
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(gatherer.createInfoItems(items));
+
+    if (Array.isArray(lookupRequests) && lookupRequests.length) {
+        fragment.appendChild(gatherer.createTable(
+            ['IP Lookup Provider', 'Duration (ms)', 'TTFB (ms)', 'Transfer Size (bytes)'],
+            lookupRequests.map(entry => [entry.provider, entry.duration, placeholder(entry.ttfb), placeholder(entry.transferSize)])
+        ));
+    } else {
+        fragment.appendChild(gatherer.createInfoItems([
+            ['IP Lookup Requests', I18n.t(Array.isArray(lookupRequests) ? 'None recorded' : lookupRequests)]
+        ]));
+    }
+
+    return fragment;
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'performance',
+    title: '⏱️ Performance',
+    gather: gatherPerformance,
+    render: renderPerformance,
+    watch: [
+        { target: () => performanceVitals, events: ['change'] }
+    ]
+});
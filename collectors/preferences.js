@@ -0,0 +1,136 @@
+// Display & Preferences collector
+// Evaluates user-preference and display media features, viewport units and
+// safe-area insets
+
+// `values` are tried in order; the first one that matches is reported.
+// `multiple` features report every matching value instead.
+const PREFERENCE_MEDIA_FEATURES = [
+    { key: 'colorScheme', label: 'Color Scheme', feature: 'prefers-color-scheme', values: ['dark', 'light'] },
+    { key: 'reducedMotion', label: 'Reduced Motion', feature: 'prefers-reduced-motion', values: ['reduce', 'no-preference'] },
+    { key: 'contrast', label: 'Contrast', feature: 'prefers-contrast', values: ['more', 'less', 'custom', 'no-preference'] },
+    { key: 'forcedColors', label: 'Forced Colors', feature: 'forced-colors', values: ['active', 'none'] },
+    { key: 'invertedColors', label: 'Inverted Colors', feature: 'inverted-colors', values: ['inverted', 'none'] },
+    { key: 'reducedData', label: 'Reduced Data', feature: 'prefers-reduced-data', values: ['reduce', 'no-preference'] },
+    { key: 'reducedTransparency', label: 'Reduced Transparency', feature: 'prefers-reduced-transparency', values: ['reduce', 'no-preference'] },
+    { key: 'colorGamut', label: 'Color Gamut', feature: 'color-gamut', values: ['rec2020', 'p3', 'srgb'] },
+    { key: 'dynamicRange', label: 'Dynamic Range', feature: 'dynamic-range', values: ['high', 'standard'] },
+    { key: 'videoDynamicRange', label: 'Video Dynamic Range', feature: 'video-dynamic-range', values: ['high', 'standard'] },
+    { key: 'pointer', label: 'Primary Pointer', feature: 'pointer', values: ['fine', 'coarse', 'none'] },
+    { key: 'anyPointer', label: 'Any Pointer', feature: 'any-pointer', values: ['fine', 'coarse', 'none'], multiple: true },
+    { key: 'hover', label: 'Primary Hover', feature: 'hover', values: ['hover', 'none'] },
+    { key: 'anyHover', label: 'Any Hover', feature: 'any-hover', values: ['hover', 'none'], multiple: true }
+];
+
+const PREFERENCE_VIEWPORT_UNITS = ['vw', 'vh', 'svh', 'lvh', 'dvh'];
+
+const PREFERENCE_SAFE_AREA_SIDES = ['top', 'right', 'bottom', 'left'];
+
+function evaluateMediaFeature({ feature, values, multiple }) {
+    if (!window.matchMedia) return 'Not supported';
+
+    const matching = values.filter(value => matchMedia(`(${feature}: ${value})`).matches);
+    if (multiple) return matching;
+
+    // Browsers that do not know a feature never match any of its values
+    return matching.length ? matching[0] : 'Not supported';
+}
+
+// Measures 100 of each unit on a hidden probe, so the result is what layout actually uses
+function measureViewportUnits() {
+    const viewport = {
+        innerWidth: window.innerWidth,
+        innerHeight: window.innerHeight,
+        clientWidth: document.documentElement.clientWidth,
+        clientHeight: document.documentElement.clientHeight
+    };
+
+    const probe = document.createElement('div');
+    probe.style.cssText = 'position:fixed;top:0;left:0;visibility:hidden;pointer-events:none;';
+    document.body.appendChild(probe);
+
+    for (const unit of PREFERENCE_VIEWPORT_UNITS) {
+        const supported = typeof CSS !== 'undefined' && CSS.supports && CSS.supports('width', `100${unit}`);
+        if (!supported) {
+            viewport[unit] = 'Not supported';
+            continue;
+        }
+
+        probe.style.width = `100${unit}`;
+        viewport[unit] = probe.getBoundingClientRect().width;
+    }
+
+    probe.remove();
+
+    if (window.visualViewport) {
+        viewport.visualViewportWidth = Math.round(visualViewport.width);
+        viewport.visualViewportHeight = Math.round(visualViewport.height);
+        viewport.visualViewportScale = visualViewport.scale;
+    }
+
+    return viewport;
+}
+
+function measureSafeAreaInsets() {
+    const probe = document.createElement('div');
+    probe.style.cssText = 'position:fixed;visibility:hidden;pointer-events:none;' +
+        PREFERENCE_SAFE_AREA_SIDES.map(side => `padding-${side}:env(safe-area-inset-${side}, 0px);`).join('');
+    document.body.appendChild(probe);
+
+    const style = getComputedStyle(probe);
+    const insets = {};
+    for (const side of PREFERENCE_SAFE_AREA_SIDES) {
+        insets[side] = parseFloat(style.getPropertyValue(`padding-${side}`)) || 0;
+    }
+
+    probe.remove();
+    return insets;
+}
+
+async function gatherPreferences(gatherer) {
+    const preferences = {};
+
+    for (const entry of PREFERENCE_MEDIA_FEATURES) {
+        preferences[entry.key] = evaluateMediaFeature(entry);
+    }
+
+    await gatherer.bodyReady();
+    preferences.viewport = measureViewportUnits();
+    preferences.safeAreaInsets = measureSafeAreaInsets();
+
+    return preferences;
+}
+
+function renderPreferences(preferences) {
+    const { viewport, safeAreaInsets } = preferences;
+    const size = (width, height) => `${I18n.formatNumber(width)} × ${I18n.formatNumber(height)}`;
+    // Media feature values are keywords from PREFERENCE_MEDIA_FEATURES, not collected text
+    const keyword = value => Array.isArray(value) ? value.map(item => I18n.t(item)) : I18n.t(value);
+
+    return [
+        ...PREFERENCE_MEDIA_FEATURES.map(({ key, label }) => [label, keyword(preferences[key])]),
+        ['Window Inner Size', size(viewport.innerWidth, viewport.innerHeight)],
+        ['Layout Viewport (client)', size(viewport.clientWidth, viewport.clientHeight)],
+        ...PREFERENCE_VIEWPORT_UNITS.map(name => [`100${name}`, viewport[name], 'px']),
+        ['Visual Viewport', viewport.visualViewportWidth === undefined ? 'Not supported' :
+            I18n.t('{size} at {scale}×', {
+                size: size(viewport.visualViewportWidth, viewport.visualViewportHeight),
+                scale: I18n.formatNumber(viewport.visualViewportScale)
+            })],
+        ['Safe Area Insets', PREFERENCE_SAFE_AREA_SIDES.map(side => `${I18n.t(side)} ${I18n.formatUnit(safeAreaInsets[side], 'px')}`).join(', ')]
+    ];
+}
+
+ClientInfoGatherer.registerCollector({
+    id: 'preferences',
+    title: '🎨 Display & Preferences',
+    gather: gatherPreferences,
+    render: renderPreferences,
+    watch: [
+        { target: () => window, events: ['resize'] },
+        { target: () => window.visualViewport, events: ['resize'] },
+        ...PREFERENCE_MEDIA_FEATURES.flatMap(({ feature, values }) => values.map(value => ({
+            target: () => window.matchMedia && matchMedia(`(${feature}: ${value})`),
+            events: ['change']
+        })))
+    ]
+});
@@ -0,0 +1,230 @@
+// Permissions & Privacy collector
+// Reports permission states, storage quota and persistence, third-party cookie
+// and storage behavior, and the Do Not Track / Global Privacy Control signals
+
+// Names the Permissions API may know; browsers reject the ones they do not
+const PRIVACY_PERMISSIONS = [
+    'geolocation',
+    'notifications',
+    'push',
+    'camera',
+    'microphone',
+    'speaker-selection',
+    'display-capture',
+    'midi',
+    'clipboard-read',
+    'clipboard-write',
+    'persistent-storage',
+    'storage-access',
+    'top-level-storage-access',
+    'background-sync',
+    'background-fetch',
+    'periodic-background-sync',
+    'accelerometer',
+    'gyroscope',
+    'magnetometer',
+    'ambient-light-sensor',
+    'screen-wake-lock',
+    'system-wake-lock',
+    'idle-detection',
+    'local-fonts',
+    'window-management',
+    'payment-handler',
+    'nfc',
+    'bluetooth',
+    'compute-pressure',
+    'xr-spatial-tracking'
+];
+
+// Some permissions only accept a query with extra descriptor fields
+const PRIVACY_PERMISSION_DESCRIPTORS = {
+    push: { name: 'push', userVisibleOnly: true },
+    midi: { name: 'midi', sysex: false }
+};
+
+const PRIVACY_PROBE_MESSAGE = 'client-info-third-party-probe';
+const PRIVACY_PROBE_TIMEOUT = 3000;
+
+// Per gatherer, the permission names whose PermissionStatus already has a change listener
+const privacyTrackedPermissions = new WeakMap();
+
+async function queryPermissions(gatherer) {
+    if (!navigator.permissions || !navigator.permissions.query) return 'Not supported';
+
+    const states = {};
+    if (!privacyTrackedPermissions.has(gatherer)) privacyTrackedPermissions.set(gatherer, new Set());
+    const tracked = privacyTrackedPermissions.get(gatherer);
+
+    await Promise.all(PRIVACY_PERMISSIONS.map(async name => {
+        try {
+            const status = await navigator.permissions.query(PRIVACY_PERMISSION_DESCRIPTORS[name] || { name });
+            states[name] = status.state;
+
+            // Permission changes are shown straight away, and logged in live mode
+            if (!tracked.has(name)) {
+                tracked.add(name);
+                status.addEventListener('change', () => {
+                    gatherer.liveMonitor.refresh(privacyCollector, 'permission change');
+                });
+            }
+        } catch (e) {
+            states[name] = 'unsupported';
+        }
+    }));
+
+    // Keep the list order stable regardless of which query answered first
+    return Object.fromEntries(PRIVACY_PERMISSIONS.map(name => [name, states[name]]));
+}
+
+async function gatherStorage() {
+    if (!navigator.storage || !navigator.storage.estimate) return 'Not supported';
+
+    const estimate = await navigator.storage.estimate();
+    return {
+        quota: estimate.quota,
+        usage: estimate.usage,
+        usageDetails: estimate.usageDetails || {},
+        persisted: navigator.storage.persisted ? await navigator.storage.persisted() : 'Not supported'
+    };
+}
+
+// A cross-site page (tools/third-party-probe.html) is framed and reports what it
+// was allowed to store. Configure it with window.clientInfoConfig.privacy
+// .thirdPartyProbeUrl or ?thirdPartyProbe=<url>; it must be an http(s) page on
+// another origin. Anything else, a javascript: URL from a crafted link included,
+// is skipped.
+function probeThirdParty(search = location.search) {
+    const config = window.clientInfoConfig && window.clientInfoConfig.privacy;
+    const probeUrl = new URLSearchParams(search).get('thirdPartyProbe') || (config && config.thirdPartyProbeUrl);
+
+    if (!probeUrl) {
+        return Promise.resolve({ status: 'skipped', reason: 'No cross-site probe configured' });
+    }
+
+    let url;
+    try {
+        url = new URL(probeUrl, location.href);
+    } catch (e) {
+        // A malformed URL is treated as no probe at all
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin === location.origin) {
+        return Promise.resolve({ status: 'skipped', reason: 'No cross-site probe configured' });
+    }
+
+    return new Promise(resolve => {
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+
+        const finish = result => {
+            clearTimeout(timer);
+            window.removeEventListener('message', onMessage);
+            frame.remove();
+            resolve(result);
+        };
+
+        const onMessage = event => {
+            if (event.origin !== url.origin || !event.data || event.data.type !== PRIVACY_PROBE_MESSAGE) return;
+
+            const { cookies, storage, hasStorageAccess } = event.data;
+            finish({
+                status: 'ok',
+                probeOrigin: url.origin,
+                cookies,
+                storage,
+                hasStorageAccess,
+                // A heuristic, not a measurement: storage that works while cookies are
+                // blocked usually means the frame was given partitioned storage, but
+                // partitioning itself cannot be observed from either side
+                storagePartitioningHeuristic: storage === 'available' && cookies === 'blocked' ? 'likely' : 'not indicated'
+            });
+        };
+
+        const timer = setTimeout(() => finish({ status: 'failed', reason: 'Probe did not answer' }), PRIVACY_PROBE_TIMEOUT);
+        window.addEventListener('message', onMessage);
+
+        frame.src = url.toString();
+        document.body.appendChild(frame);
+    });
+}
+
+async function gatherPrivacy(gatherer) {
+    const [permissions, storage, thirdParty] = await Promise.all([
+        queryPermissions(gatherer),
+        gatherStorage(),
+        gatherer.bodyReady().then(() => probeThirdParty())
+    ]);
+
+    return {
+        doNotTrack: navigator.doNotTrack || window.doNotTrack || 'Not specified',
+        globalPrivacyControl: navigator.globalPrivacyControl === undefined
+            ? 'Not supported'
+            : navigator.globalPrivacyControl,
+        storageAccessAPI: typeof document.hasStorageAccess === 'function',
+        permissions,
+        storage,
+        thirdParty
+    };
+}
+
+function formatPrivacyBytes(bytes) {
+    if (typeof bytes !== 'number') return I18n.t('Unknown');
+
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return I18n.formatUnit(Math.round(value * 10) / 10, units[unit]);
+}
+
+function renderPrivacy(privacy) {
+    const { permissions, storage, thirdParty } = privacy;
+
+    const items = [
+        ['Do Not Track', privacy.doNotTrack],
+        ['Global Privacy Control', typeof privacy.globalPrivacyControl === 'boolean'
+            ? I18n.t(privacy.globalPrivacyControl ? 'Enabled' : 'Disabled')
+            : privacy.globalPrivacyControl],
+        ['Storage Access API', privacy.storageAccessAPI ? 'Supported' : 'Not supported']
+    ];
+
+    if (typeof storage === 'object') {
+        items.push(
+            ['Storage Usage', I18n.t('{used} of {quota}', { used: formatPrivacyBytes(storage.usage), quota: formatPrivacyBytes(storage.quota) })],
+            ['Storage Persisted', storage.persisted]
+        );
+    } else {
+        items.push(['Storage Estimate', storage]);
+    }
+
+    if (thirdParty.status === 'ok') {
+        items.push(
+            ['Third-Party Cookies', I18n.t(thirdParty.cookies)],
+            ['Third-Party Storage', I18n.t(thirdParty.storage)],
+            ['Storage Partitioning (heuristic)', I18n.t(thirdParty.storagePartitioningHeuristic)],
+            ['Third-Party Probe', thirdParty.probeOrigin]
+        );
+    } else {
+        items.push(['Third-Party Checks', I18n.t(thirdParty.status === 'skipped' ? 'Skipped: {reason}' : 'Failed: {reason}', {
+            reason: I18n.t(thirdParty.reason)
+        })]);
+    }
+
+    if (typeof permissions === 'object') {
+        items.push(...Object.entries(permissions).map(([name, state]) => [I18n.t('Permission: {name}', { name }), I18n.t(state)]));
+    } else {
+        items.push(['Permissions API', permissions]);
+    }
+
+    return items;
+}
+
+const privacyCollector = ClientInfoGatherer.registerCollector({
+    id: 'privacy',
+    title: '🔒 Permissions & Privacy',
+    gather: gatherPrivacy,
+    render: renderPrivacy
+});
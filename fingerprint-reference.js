@@ -0,0 +1,105 @@
+// Fingerprint Reference Distribution
+// Rough shares of common values for each fingerprinting attribute, used to estimate
+// how identifying a value is. These are coarse approximations assembled from public
+// browser/OS/screen market-share summaries, not measurements; treat the resulting
+// bit counts as orders of magnitude.
+//
+// `values` maps a value to the share of browsers reporting it; `unlisted` is the
+// share assumed for any single value that is not listed (the long tail).
+
+const FINGERPRINT_REFERENCE = {
+    browser: {
+        values: { 'Chrome': 0.64, 'Safari': 0.19, 'Edge': 0.05, 'Firefox': 0.03, 'Samsung Internet': 0.025, 'Opera': 0.02 },
+        unlisted: 0.005
+    },
+    operatingSystem: {
+        values: { 'Android': 0.42, 'Windows': 0.25, 'iOS': 0.17, 'macOS': 0.07, 'iPadOS': 0.02, 'Linux': 0.015, 'ChromeOS': 0.01 },
+        unlisted: 0.005
+    },
+    osVersion: {
+        // Windows reads as '10/11' from the user agent string and as '10' or '11'
+        // from Client Hints, which Chromium browsers send
+        values: { '10/11': 0.22, '10': 0.14, '11': 0.08 },
+        unlisted: 0.02
+    },
+    platform: {
+        values: { 'Win32': 0.25, 'Linux armv8l': 0.2, 'iPhone': 0.17, 'Linux aarch64': 0.1, 'MacIntel': 0.08, 'Linux x86_64': 0.03, 'iPad': 0.02 },
+        unlisted: 0.005
+    },
+    screenResolution: {
+        values: {
+            '1920x1080': 0.09, '390x844': 0.04, '393x873': 0.03, '412x915': 0.03, '1366x768': 0.03,
+            '414x896': 0.025, '1536x864': 0.025, '360x800': 0.025, '1440x900': 0.015, '2560x1440': 0.015
+        },
+        unlisted: 0.002
+    },
+    devicePixelRatio: {
+        values: { '1': 0.3, '2': 0.25, '3': 0.2, '2.75': 0.06, '1.25': 0.05, '1.5': 0.04, '2.625': 0.03 },
+        unlisted: 0.01
+    },
+    colorDepth: {
+        values: { '24': 0.8, '32': 0.1, '30': 0.08 },
+        unlisted: 0.01
+    },
+    cpuCores: {
+        values: { '8': 0.35, '4': 0.2, '6': 0.08, '12': 0.07, '16': 0.06, '2': 0.05, '10': 0.04 },
+        unlisted: 0.01
+    },
+    maxTouchPoints: {
+        values: { '0': 0.45, '5': 0.35, '10': 0.15, '1': 0.01 },
+        unlisted: 0.005
+    },
+    timezone: {
+        values: {
+            'Asia/Shanghai': 0.1, 'Asia/Kolkata': 0.08, 'America/New_York': 0.05, 'America/Chicago': 0.03,
+            'America/Los_Angeles': 0.03, 'Asia/Tokyo': 0.03, 'America/Sao_Paulo': 0.03, 'Asia/Jakarta': 0.03,
+            'Europe/London': 0.02, 'Europe/Berlin': 0.02, 'Europe/Paris': 0.02, 'Europe/Moscow': 0.02, 'Europe/Rome': 0.01
+        },
+        unlisted: 0.002
+    },
+    language: {
+        values: {
+            'en-US': 0.35, 'zh-CN': 0.08, 'en-GB': 0.04, 'es-ES': 0.04, 'pt-BR': 0.04,
+            'de-DE': 0.03, 'fr-FR': 0.03, 'ja-JP': 0.03, 'ru-RU': 0.03, 'it-IT': 0.015
+        },
+        unlisted: 0.002
+    },
+    languages: {
+        values: { 'en-US,en': 0.25, 'en-US': 0.1, 'zh-CN,zh': 0.05, 'en-GB,en': 0.03 },
+        unlisted: 0.01
+    },
+    doNotTrack: {
+        values: { 'Not specified': 0.8, '1': 0.15 },
+        unlisted: 0.05
+    },
+    colorScheme: {
+        values: { 'light': 0.6, 'dark': 0.38 },
+        unlisted: 0.02
+    },
+    gpuVendor: {
+        values: {
+            'Apple Inc.': 0.2, 'Google Inc. (Intel)': 0.15, 'Google Inc. (NVIDIA)': 0.15, 'Qualcomm': 0.15,
+            'ARM': 0.1, 'Google Inc. (AMD)': 0.05
+        },
+        unlisted: 0.01
+    },
+    gpuRenderer: {
+        values: { 'Apple GPU': 0.17 },
+        unlisted: 0.002
+    },
+    canvas: {
+        values: {},
+        unlisted: 0.001
+    },
+    audio: {
+        values: {},
+        unlisted: 0.01
+    },
+    fonts: {
+        values: {},
+        unlisted: 0.005
+    }
+};
+
+// Export for potential use in other scripts
+window.FINGERPRINT_REFERENCE = FINGERPRINT_REFERENCE;
@@ -0,0 +1,198 @@
+// Fingerprint Analysis
+// Hashes the identifying attributes of a report into a stable fingerprint and
+// estimates how much each one narrows the browser down, using FINGERPRINT_REFERENCE
+
+// Only attributes that stay the same across visits; viewport size, battery,
+// connection quality and the browser version (which changes with every release)
+// change too often to be part of a stable fingerprint
+const FINGERPRINT_ATTRIBUTES = [
+    { key: 'browser', label: 'Browser', read: data => data.browser?.browserName },
+    { key: 'operatingSystem', label: 'Operating System', read: data => data.system?.operatingSystem },
+    { key: 'osVersion', label: 'OS Version', read: data => data.system?.osVersion },
+    { key: 'platform', label: 'Platform', read: data => data.system?.platform },
+    { key: 'screenResolution', label: 'Screen Resolution', read: data => data.device && `${data.device.screenWidth}x${data.device.screenHeight}` },
+    { key: 'devicePixelRatio', label: 'Device Pixel Ratio', read: data => data.device?.devicePixelRatio },
+    { key: 'colorDepth', label: 'Color Depth', read: data => data.device?.screenColorDepth },
+    { key: 'cpuCores', label: 'CPU Cores', read: data => data.system?.cpuCores },
+    { key: 'maxTouchPoints', label: 'Max Touch Points', read: data => data.system?.maxTouchPoints },
+    { key: 'timezone', label: 'Timezone', read: data => data.connection?.timezone },
+    { key: 'language', label: 'Language', read: data => data.browser?.language },
+    { key: 'languages', label: 'Languages', read: data => data.browser?.languages },
+    { key: 'doNotTrack', label: 'Do Not Track', read: data => data.browser?.doNotTrack },
+    { key: 'colorScheme', label: 'Color Scheme', read: data => data.preferences?.colorScheme },
+    { key: 'gpuVendor', label: 'GPU Vendor', read: data => data.graphics?.webGL?.unmaskedVendor },
+    { key: 'gpuRenderer', label: 'GPU Renderer', read: data => data.graphics?.webGL?.unmaskedRenderer }
+];
+
+// Optional signals measured on this machine rather than read from the report
+const FINGERPRINT_SIGNALS = {
+    canvas: { label: 'Canvas Rendering', probe: () => FingerprintAnalyzer.probeCanvas() },
+    audio: { label: 'Audio Processing', probe: () => FingerprintAnalyzer.probeAudio() },
+    fonts: { label: 'Installed Fonts', probe: () => FingerprintAnalyzer.probeFonts() }
+};
+
+// Fonts that ship with only some operating systems or office suites
+const FINGERPRINT_FONTS = [
+    'Arial', 'Arial Black', 'Arial Narrow', 'Calibri', 'Cambria', 'Candara', 'Comic Sans MS',
+    'Consolas', 'Courier New', 'Georgia', 'Helvetica Neue', 'Impact', 'Lucida Console',
+    'Lucida Grande', 'Menlo', 'Monaco', 'Palatino', 'Segoe UI', 'Tahoma', 'Times New Roman',
+    'Trebuchet MS', 'Verdana', 'Ubuntu', 'DejaVu Sans', 'Liberation Sans', 'Noto Sans',
+    'Roboto', 'Cantarell', 'SF Pro Text', 'Gill Sans', 'Franklin Gothic Medium', 'Century Gothic'
+];
+const FINGERPRINT_FONT_BASES = ['monospace', 'sans-serif', 'serif'];
+const FINGERPRINT_FONT_SAMPLE = 'mmmmmmmmmmlli WMwQ 0123';
+
+// About 8.6 billion: one in more than this would single out a browser among
+// everyone alive, so larger estimates are reported as "at least" this
+const FINGERPRINT_POPULATION_BITS = 33;
+
+const FINGERPRINT_NOT_SUPPORTED = 'Not supported';
+const FINGERPRINT_PLACEHOLDERS = ['Unknown', 'Not available', FINGERPRINT_NOT_SUPPORTED];
+
+class FingerprintAnalyzer {
+    // Returns { fingerprint, attributes, totalBits, oneIn, capped } with attributes ranked
+    // from most to least identifying. `signals` holds extra values from collectSignals().
+    static async analyze(data, signals = {}) {
+        const attributes = [];
+
+        for (const attribute of FINGERPRINT_ATTRIBUTES) {
+            const value = this.normalize(attribute.read(data));
+            if (value !== undefined) attributes.push({ key: attribute.key, label: attribute.label, value });
+        }
+        for (const [key, value] of Object.entries(signals)) {
+            const signal = FINGERPRINT_SIGNALS[key];
+            const normalized = this.normalize(value);
+            if (signal && normalized !== undefined) attributes.push({ key, label: signal.label, value: normalized });
+        }
+
+        // The hash covers attributes in a fixed order, before ranking reorders them
+        const fingerprint = await this.hash(JSON.stringify(attributes.map(({ key, value }) => [key, value])));
+
+        for (const attribute of attributes) {
+            const { share, listed } = this.lookupShare(attribute.key, attribute.value);
+            attribute.share = share;
+            attribute.listed = listed;
+            attribute.bits = -Math.log2(share);
+        }
+        attributes.sort((a, b) => b.bits - a.bits);
+
+        // Summing treats attributes as independent, which overstates uniqueness
+        // (language and languages, OS and platform move together)
+        const totalBits = attributes.reduce((sum, attribute) => sum + attribute.bits, 0);
+
+        const capped = totalBits > FINGERPRINT_POPULATION_BITS;
+        return { fingerprint, attributes, totalBits, oneIn: Math.round(2 ** Math.min(totalBits, FINGERPRINT_POPULATION_BITS)), capped };
+    }
+
+    static lookupShare(key, value) {
+        const reference = FINGERPRINT_REFERENCE[key];
+        if (!reference) return { share: 1, listed: false };
+
+        const listed = Object.prototype.hasOwnProperty.call(reference.values, value);
+        return { share: listed ? reference.values[value] : reference.unlisted, listed };
+    }
+
+    // Reports carry "Unknown"/"Not available" placeholders; those identify nobody
+    static normalize(value) {
+        if (value === undefined || value === null || FINGERPRINT_PLACEHOLDERS.includes(value)) return undefined;
+        return Array.isArray(value) ? value.join(',') : String(value);
+    }
+
+    static async hash(text) {
+        if (!window.crypto || !crypto.subtle) {
+            throw new Error('crypto.subtle is only available in a secure context (HTTPS or localhost)');
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Runs the requested probes; one that throws is reported as unsupported
+    static async collectSignals(names) {
+        const signals = {};
+
+        for (const name of names) {
+            const signal = FINGERPRINT_SIGNALS[name];
+            if (!signal) continue;
+
+            try {
+                signals[name] = await signal.probe();
+            } catch (e) {
+                signals[name] = FINGERPRINT_NOT_SUPPORTED;
+            }
+        }
+
+        return signals;
+    }
+
+    // Text, emoji and blending render with small per-GPU/font differences
+    static async probeCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 280;
+        canvas.height = 60;
+        const context = canvas.getContext('2d');
+        if (!context) return FINGERPRINT_NOT_SUPPORTED;
+
+        context.textBaseline = 'top';
+        context.font = '14px Arial';
+        context.fillStyle = '#f60';
+        context.fillRect(125, 1, 62, 20);
+        context.fillStyle = '#069';
+        context.fillText('Client Info, 😃 <canvas> 1.0', 2, 15);
+        context.fillStyle = 'rgba(102, 204, 0, 0.7)';
+        context.fillText('Client Info, 😃 <canvas> 1.0', 4, 17);
+        context.globalCompositeOperation = 'multiply';
+        context.beginPath();
+        context.arc(220, 30, 20, 0, Math.PI * 2);
+        context.fillStyle = '#f0f';
+        context.fill();
+
+        // The full data URL is long; its hash identifies it just as well
+        return (await this.hash(canvas.toDataURL())).slice(0, 16);
+    }
+
+    // A compressed oscillator renders to slightly different samples per audio stack
+    static async probeAudio() {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) return FINGERPRINT_NOT_SUPPORTED;
+
+        const context = new OfflineContext(1, 5000, 44100);
+        const oscillator = context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 10000;
+
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -50;
+        compressor.knee.value = 40;
+        compressor.ratio.value = 12;
+        compressor.attack.value = 0;
+        compressor.release.value = 0.25;
+
+        oscillator.connect(compressor);
+        compressor.connect(context.destination);
+        oscillator.start(0);
+
+        const buffer = await context.startRendering();
+        const samples = buffer.getChannelData(0).subarray(4500);
+        return String(samples.reduce((sum, sample) => sum + Math.abs(sample), 0));
+    }
+
+    // A font is installed when text set in it measures differently from every fallback
+    static probeFonts() {
+        const context = document.createElement('canvas').getContext('2d');
+        if (!context) return FINGERPRINT_NOT_SUPPORTED;
+
+        const measure = font => {
+            context.font = `72px ${font}`;
+            return context.measureText(FINGERPRINT_FONT_SAMPLE).width;
+        };
+        const baseWidths = FINGERPRINT_FONT_BASES.map(measure);
+
+        return FINGERPRINT_FONTS.filter(font =>
+            FINGERPRINT_FONT_BASES.some((base, index) => measure(`'${font}', ${base}`) !== baseWidths[index])
+        );
+    }
+}
+
+// Export for potential use in other scripts
+window.FingerprintAnalyzer = FingerprintAnalyzer;
@@ -0,0 +1,201 @@
+// Localization
+// Picks a language, loads its message catalog and formats numbers, units,
+// durations, UTC offsets and dates with Intl
+//
+// Messages are keyed by their English text, so the code stays readable and a
+// message missing from a catalog is shown in English. Catalogs live in
+// locales/<language>.json; a plural message maps to { one, other, ... } forms.
+// Only what is shown is translated: the collected data keeps English keys and values.
+
+const I18N_STORAGE_KEY = 'client-info-language';
+const I18N_FALLBACK = 'en';
+
+const I18N_DEFAULTS = {
+    // A fixed language for the page; the visitor's own choice still wins
+    locale: null,
+    languages: ['en', 'de', 'es', 'fr'],
+    catalogUrl: 'locales/{locale}.json',
+    // catalogUrl is resolved against this script, so embedding pages find the
+    // catalogs next to it. Imported as a module there is no currentScript, and
+    // client-info.mjs passes its own location instead.
+    baseUrl: document.currentScript ? document.currentScript.src : null
+};
+
+// The units renderers pass, mapped to Intl unit options. Bits and bytes are
+// spelled out because their short forms are not pluralized ("24 bit").
+const I18N_UNITS = {
+    ms: { unit: 'millisecond' },
+    seconds: { unit: 'second' },
+    minutes: { unit: 'minute' },
+    bits: { unit: 'bit', unitDisplay: 'long' },
+    bytes: { unit: 'byte', unitDisplay: 'long' },
+    KB: { unit: 'kilobyte' },
+    MB: { unit: 'megabyte' },
+    GB: { unit: 'gigabyte' },
+    TB: { unit: 'terabyte' },
+    Mbps: { unit: 'megabit-per-second' },
+    '%': { unit: 'percent' }
+};
+
+class I18n {
+    // The language comes from ?lang=, then the visitor's last choice, then
+    // window.clientInfoConfig.i18n.locale, then navigator.languages
+    static resolveOptions(search = location.search) {
+        const config = window.clientInfoConfig && window.clientInfoConfig.i18n;
+        const options = { ...I18N_DEFAULTS, ...config };
+
+        let stored = null;
+        try {
+            stored = localStorage.getItem(I18N_STORAGE_KEY);
+        } catch (e) {
+            // Storage can be blocked; the choice is then only kept for this page view
+        }
+
+        const requested = [new URLSearchParams(search).get('lang'), stored, options.locale, ...(navigator.languages || [navigator.language])];
+        options.locale = requested.map(tag => this.match(tag, options.languages)).find(Boolean) || I18N_FALLBACK;
+
+        return options;
+    }
+
+    // 'de-AT' falls back to 'de' when there is no catalog for the region
+    static match(tag, languages) {
+        if (!tag) return null;
+
+        const lower = tag.toLowerCase();
+        return languages.find(language => language.toLowerCase() === lower)
+            || languages.find(language => language.toLowerCase() === lower.split('-')[0])
+            || null;
+    }
+
+    static async load(locale, options = I18N_DEFAULTS) {
+        let messages = {};
+
+        if (locale !== I18N_FALLBACK) {
+            const url = new URL(options.catalogUrl.replace('{locale}', encodeURIComponent(locale)), options.baseUrl || undefined);
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+            messages = await response.json();
+        }
+
+        this.locale = locale;
+        this.messages = messages;
+        document.documentElement.lang = locale;
+    }
+
+    // Remembers an explicit choice from the language switcher
+    static remember(locale) {
+        try {
+            localStorage.setItem(I18N_STORAGE_KEY, locale);
+        } catch (e) {
+            // See resolveOptions
+        }
+    }
+
+    // Replaces {name} placeholders with params.name
+    static t(message, params = {}) {
+        const translated = this.messages[message];
+        return this.interpolate(typeof translated === 'string' ? translated : message, params);
+    }
+
+    // `other` is the catalog key; params.count is set to count
+    static plural(count, one, other, params = {}) {
+        const forms = this.messages[other];
+        const category = new Intl.PluralRules(this.locale).select(count);
+        const values = { ...params, count: this.formatNumber(count) };
+
+        if (forms && typeof forms === 'object') {
+            return this.interpolate(forms[category] || forms.other, values);
+        }
+        return this.interpolate(new Intl.PluralRules(I18N_FALLBACK).select(count) === 'one' ? one : other, values);
+    }
+
+    static interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    }
+
+    static formatNumber(value, options = { maximumFractionDigits: 3 }) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    // Besides the units in I18N_UNITS, 'duration' takes seconds and 'utcOffset' takes
+    // minutes as Date#getTimezoneOffset returns them. Other units are appended as text.
+    static formatUnit(value, unit) {
+        if (unit === 'duration') return this.formatDuration(value);
+        if (unit === 'utcOffset') return this.formatUtcOffset(value);
+
+        if (I18N_UNITS[unit]) {
+            try {
+                return this.formatNumber(value, { style: 'unit', ...I18N_UNITS[unit], maximumFractionDigits: 3 });
+            } catch (e) {
+                // Older engines without unit formatting use the plain form below
+            }
+        }
+        return `${this.formatNumber(value)} ${this.t(unit)}`;
+    }
+
+    // 4000 seconds reads as "1 hr, 6 min, 40 sec"
+    static formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const parts = [
+            ['hour', Math.floor(total / 3600)],
+            ['minute', Math.floor(total % 3600 / 60)],
+            ['second', total % 60]
+        ].filter(([unit, amount]) => amount || (unit === 'second' && !total));
+
+        const formatted = parts.map(([unit, amount]) => this.formatNumber(amount, { style: 'unit', unit }));
+        // Older engines have no Intl.ListFormat
+        if (!Intl.ListFormat) return formatted.join(', ');
+        return new Intl.ListFormat(this.locale, { style: 'short', type: 'unit' }).format(formatted);
+    }
+
+    // getTimezoneOffset is positive west of UTC, so -120 is UTC+02:00
+    static formatUtcOffset(minutes) {
+        const offset = -minutes;
+        const pad = value => this.formatNumber(value, { minimumIntegerDigits: 2, useGrouping: false });
+        const sign = offset < 0 ? '−' : '+';
+
+        return `UTC${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    static formatDate(value, options = { dateStyle: 'medium', timeStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(value));
+    }
+
+    static formatTime(value) {
+        return this.formatDate(value, { timeStyle: 'medium' });
+    }
+
+    // Each language named in its own language, for the switcher
+    static languageName(locale) {
+        try {
+            return new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        } catch (e) {
+            return locale;
+        }
+    }
+
+    // Static page text is marked with data-i18n; the English text is kept in the
+    // attribute so the page can be translated again. data-i18n-placeholder and
+    // data-i18n-title do the same for those attributes.
+    static translatePage(root = document) {
+        for (const element of root.querySelectorAll('[data-i18n]')) {
+            if (!element.dataset.i18n) element.dataset.i18n = element.textContent.trim();
+            element.textContent = this.t(element.dataset.i18n);
+        }
+
+        for (const attribute of ['placeholder', 'title']) {
+            const name = `i18n${attribute[0].toUpperCase()}${attribute.slice(1)}`;
+            for (const element of root.querySelectorAll(`[data-i18n-${attribute}]`)) {
+                if (!element.dataset[name]) element.dataset[name] = element.getAttribute(attribute);
+                element.setAttribute(attribute, this.t(element.dataset[name]));
+            }
+        }
+    }
+}
+
+// English until a catalog is loaded, which headless instances never do
+I18n.locale = I18N_FALLBACK;
+I18n.messages = {};
+
+// Export for potential use in other scripts
+window.I18n = I18n;
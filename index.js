@@ -1,32 +1,744 @@
 // Client Information Gathering System
 // Collects comprehensive client data without external dependencies
 
-class ClientInfoGatherer {
-    constructor() {
+const CLIENT_INFO_DEFAULTS = {
+    // false renders nothing; the data is only available through `ready`, `collect()`
+    // and the events. Some probes still add a hidden element to <body> while they measure.
+    render: true,
+    // Section ids to collect, in registration order; null collects every section
+    sections: null
+};
+
+// Emits `section` (detail: { id, data, error }) whenever a section is gathered or
+// refreshed, and `progress` (detail: { id, completed, total }) during collect()
+class ClientInfoGatherer extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.options = { ...CLIENT_INFO_DEFAULTS, ...options };
+        this.collectors = this.selectCollectors(this.options.sections);
         this.data = {};
-        this.init();
+        this.sectionErrors = {};
+        this.liveMonitor = new LiveMonitor(this);
+
+        // Resolves with the data once the first collection (or a shared report) is in
+        this.ready = this.init();
+    }
+
+    // Adds a section to every dashboard created afterwards. `gather(gatherer)` may
+    // return a promise; its result is stored under `data[id]` and passed to
+    // `render(sectionData, gatherer)`, which returns [label, value] pairs or a DOM node.
+    // The optional `watch` list names the events that re-gather it in live mode.
+    static registerCollector({ id, title, gather, render, watch = [] }) {
+        if (typeof id !== 'string' || !/^[A-Za-z][\w-]*$/.test(id)) {
+            throw new Error(`Invalid collector id: ${id}`);
+        }
+        if (ClientInfoGatherer.collectors.some(collector => collector.id === id)) {
+            throw new Error(`Collector already registered: ${id}`);
+        }
+        if (typeof gather !== 'function' || typeof render !== 'function') {
+            throw new Error(`Collector ${id} needs gather and render functions`);
+        }
+
+        const collector = { id, title: title || id, gather, render, watch };
+        ClientInfoGatherer.collectors.push(collector);
+        return collector;
+    }
+
+    selectCollectors(sections) {
+        if (!sections) return ClientInfoGatherer.collectors.slice();
+
+        const known = new Set(ClientInfoGatherer.collectors.map(collector => collector.id));
+        const unknown = sections.filter(id => !known.has(id));
+        if (unknown.length) throw new Error(`Unknown section: ${unknown.join(', ')}`);
+
+        return ClientInfoGatherer.collectors.filter(collector => sections.includes(collector.id));
     }
 
     async init() {
-        // Gather all information
-        this.gatherBrowserInfo();
-        this.gatherSystemInfo();
-        this.gatherDeviceInfo();
-        this.gatherConnectionInfo();
-        this.gatherFeatureSupport();
-        
-        // Get network info (public IP) - this requires external service
-        await this.gatherNetworkInfo();
-        
-        // Display all information
+        if (this.options.render) {
+            const steps = [
+                this.setupLanguage,
+                this.createSections,
+                this.setupExportActions,
+                this.setupCompareView,
+                this.setupFingerprintAnalysis,
+                this.setupSnapshotTimeline,
+                this.setupSupportSubmission,
+                this.setupLiveUpdates
+            ];
+            for (const step of steps) {
+                await this.setupSafely(step);
+            }
+
+            // A shared report is shown as-is instead of collecting from this machine
+            const shared = await this.loadSharedReport();
+            if (shared) {
+                this.data = shared;
+                this.readOnly = true;
+                this.showSharedBanner();
+                this.displayInfo();
+                this.displayChangeLog();
+                this.setExportEnabled(true);
+                this.setFingerprintSignalsEnabled(false);
+                this.displaySnapshotTimeline();
+                return this.data;
+            }
+        }
+
+        await this.collect();
+
+        if (this.options.render) {
+            this.setExportEnabled(true);
+            await this.saveSnapshot();
+            this.displaySnapshotTimeline();
+        }
+        return this.data;
+    }
+
+    // Gathers every selected section again and resolves with the data. Calls made
+    // while a collection is running share it.
+    collect() {
+        if (this.readOnly) return Promise.resolve(this.data); // A shared report stays as it was
+
+        if (!this.collecting) {
+            this.collecting = this.collectAll().finally(() => {
+                this.collecting = null;
+            });
+        }
+        return this.collecting;
+    }
+
+    async collectAll() {
+        // Reserve every key up front so the data keeps registration order
+        // whichever section finishes first
+        const collectors = this.collectors;
+        collectors.forEach(collector => {
+            this.data[collector.id] = undefined;
+        });
+
+        // Each section renders as soon as its own gatherer settles
+        let completed = 0;
+        await Promise.all(collectors.map(async collector => {
+            await this.runCollector(collector);
+            completed++;
+            this.emit('progress', { id: collector.id, completed, total: collectors.length });
+        }));
+
+        return this.data;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Dashboard elements are optional: headless instances never touch the page,
+    // and an embedding page may provide only some of the containers
+    element(id) {
+        return this.options.render ? document.getElementById(id) : null;
+    }
+
+    // Probes that measure inside <body> wait for it: an instance built by a module
+    // imported in <head> starts collecting before the parser gets there
+    bodyReady() {
+        if (document.body) return Promise.resolve(document.body);
+        return new Promise(resolve => {
+            document.addEventListener('DOMContentLoaded', () => resolve(document.body), { once: true });
+        });
+    }
+
+    // A control that fails to set up stays inert and the status line says so; the
+    // report is still collected
+    async setupSafely(step) {
+        try {
+            await step.call(this);
+        } catch (error) {
+            this.setExportStatus(I18n.t('Part of the dashboard could not be set up: {error}', { error: error.message }), true);
+        }
+    }
+
+    // Loads the catalog before anything is rendered. A catalog that fails to load
+    // leaves the page in English, with a note in the status line, rather than
+    // blocking the report.
+    async setupLanguage() {
+        this.languageOptions = I18n.resolveOptions();
+        try {
+            await I18n.load(this.languageOptions.locale, this.languageOptions);
+        } catch (error) {
+            this.setExportStatus(I18n.t('Could not load the language: {error}', { error: error.message }), true);
+        }
+        I18n.translatePage();
+
+        const select = this.element('languageSelect');
+        if (!select) return;
+
+        select.replaceChildren(...this.languageOptions.languages.map(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = I18n.languageName(locale);
+            return option;
+        }));
+        select.value = I18n.locale;
+        select.addEventListener('change', () => this.changeLanguage(select.value));
+    }
+
+    async changeLanguage(locale) {
+        const select = this.element('languageSelect');
+        try {
+            await I18n.load(locale, this.languageOptions);
+            I18n.remember(locale);
+        } catch (error) {
+            if (select) select.value = I18n.locale;
+            this.setExportStatus(I18n.t('Could not load the language: {error}', { error: error.message }), true);
+            return;
+        }
+
+        // Everything that was rendered is drawn again; status lines keep their language
+        I18n.translatePage();
         this.displayInfo();
+        this.displayChangeLog();
+        this.displaySnapshotTimeline();
+        this.displaySupportQueue();
+        if (this.readOnly) this.showSharedBanner();
+        if (this.lastDiff) this.displayDiff(this.lastDiff);
+        if (this.fingerprintAnalysis) this.displayFingerprint(this.fingerprintAnalysis);
+    }
+
+    // Never rejects: a failing collector only puts its own section in the error state
+    async runCollector(collector) {
+        this.data[collector.id] = undefined;
+        delete this.sectionErrors[collector.id];
+        this.displaySection(collector);
+
+        try {
+            this.data[collector.id] = await collector.gather(this);
+        } catch (error) {
+            this.sectionErrors[collector.id] = error;
+        }
+
+        this.displaySection(collector);
+        this.displayRawData();
+        this.emit('section', { id: collector.id, data: this.data[collector.id], error: this.sectionErrors[collector.id] });
+    }
+
+    // Re-gathers a section that already loaded and returns the keys that changed
+    async refreshCollector(collector) {
+        const previous = this.data[collector.id];
+        if (previous === undefined || this.sectionErrors[collector.id]) return [];
+
+        let next;
+        try {
+            next = await collector.gather(this);
+        } catch (e) {
+            return []; // Keep showing the last good values
+        }
+
+        this.data[collector.id] = next;
+        this.displaySection(collector);
+        this.emit('section', { id: collector.id, data: next });
+
+        return ReportDiff.compareSection(previous, next).filter(entry => entry.status !== 'same');
+    }
+
+    setupLiveUpdates() {
+        const toggle = this.element('liveToggle');
+        const clear = this.element('clearChangeLog');
+        if (!toggle || !clear) return;
+
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                this.liveMonitor.start();
+            } else {
+                this.liveMonitor.stop();
+            }
+        });
+
+        clear.addEventListener('click', () => {
+            delete this.data.changeLog;
+            this.displayChangeLog();
+            this.displayRawData();
+        });
+    }
+
+    displayChangeLog() {
+        const list = this.element('changeLog');
+        const log = this.data.changeLog || [];
+        if (!list) return;
+
+        if (this.readOnly) {
+            for (const id of ['liveToggle', 'clearChangeLog']) {
+                if (this.element(id)) this.element(id).disabled = true;
+            }
+        }
+
+        if (!log.length) {
+            const empty = document.createElement('li');
+            empty.className = 'loading';
+            empty.textContent = I18n.t('No changes recorded');
+            list.replaceChildren(empty);
+            return;
+        }
+
+        // Newest first
+        list.replaceChildren(...log.slice().reverse().map(entry => {
+            const item = document.createElement('li');
+            const time = I18n.formatTime(entry.time);
+            item.textContent = `${time} ${entry.section}.${entry.key}: ${entry.from} → ${entry.to} (${entry.event})`;
+            return item;
+        }));
+    }
+
+    async loadSharedReport() {
+        try {
+            const snapshotId = SnapshotStore.readLink(location.hash);
+            if (snapshotId !== null) {
+                this.openedSnapshot = await SnapshotStore.get(snapshotId);
+                return this.openedSnapshot.data;
+            }
+
+            return await ReportExporter.readPermalink(location.hash);
+        } catch (error) {
+            this.setExportStatus(I18n.t('Could not open shared report: {error}', { error: error.message }), true);
+            return null;
+        }
+    }
+
+    showSharedBanner() {
+        const banner = this.element('sharedBanner');
+        if (!banner) return;
+
+        const ownReport = new URL(location.href);
+        ownReport.hash = '';
+
+        const text = this.element('sharedBannerText');
+        if (this.openedSnapshot && text) {
+            const { label, createdAt } = this.openedSnapshot;
+            const params = { label, date: I18n.formatDate(createdAt) };
+            text.textContent = label
+                ? I18n.t('Viewing the snapshot "{label}" saved {date} (read-only). Nothing was collected from this browser.', params)
+                : I18n.t('Viewing the snapshot saved {date} (read-only). Nothing was collected from this browser.', params);
+        }
+
+        banner.querySelector('a').href = ownReport.toString();
+        banner.hidden = false;
+    }
+
+    async saveSnapshot() {
+        const options = SnapshotStore.resolveOptions();
+        if (!options.enabled || !SnapshotStore.isSupported()) return;
+
+        try {
+            await SnapshotStore.save(this.data, options.limit);
+        } catch (error) {
+            this.setSnapshotStatus(I18n.t('Could not save snapshot: {error}', { error: error.message }), true);
+        }
+    }
+
+    setupSnapshotTimeline() {
+        const list = this.element('snapshotTimeline');
+        if (!list) return;
+
+        list.addEventListener('click', async event => {
+            const button = event.target.closest('button[data-snapshot-action]');
+            if (!button) return;
+
+            const id = Number(button.closest('[data-snapshot-id]').dataset.snapshotId);
+            try {
+                if (button.dataset.snapshotAction === 'export') {
+                    const snapshot = await SnapshotStore.get(id);
+                    ReportExporter.downloadAs(snapshot.data, 'json');
+                    this.setSnapshotStatus(I18n.t('Downloaded JSON snapshot'));
+                } else if (button.dataset.snapshotAction === 'delete') {
+                    if (!confirm(I18n.t('Delete this snapshot?'))) return;
+                    await SnapshotStore.delete(id);
+                    this.setSnapshotStatus(I18n.t('Deleted snapshot'));
+                    await this.displaySnapshotTimeline();
+                }
+            } catch (error) {
+                this.setSnapshotStatus(error.message, true);
+            }
+        });
+
+        // Labels are saved as soon as the field loses focus
+        list.addEventListener('change', async event => {
+            const input = event.target.closest('input[data-snapshot-label]');
+            if (!input) return;
+
+            try {
+                await SnapshotStore.setLabel(Number(input.closest('[data-snapshot-id]').dataset.snapshotId), input.value.trim());
+                this.setSnapshotStatus(I18n.t('Saved label'));
+            } catch (error) {
+                this.setSnapshotStatus(I18n.t('Could not save label: {error}', { error: error.message }), true);
+            }
+        });
+    }
+
+    async displaySnapshotTimeline() {
+        const list = this.element('snapshotTimeline');
+        if (!list) return;
+
+        const message = text => {
+            const item = document.createElement('li');
+            item.className = 'loading';
+            item.textContent = text;
+            list.replaceChildren(item);
+        };
+
+        if (!SnapshotStore.isSupported()) {
+            message(I18n.t('Snapshots need IndexedDB, which this browser does not provide'));
+            return;
+        }
+
+        let snapshots;
+        try {
+            snapshots = await SnapshotStore.list();
+        } catch (error) {
+            message(I18n.t('Could not read snapshots: {error}', { error: error.message }));
+            return;
+        }
+
+        if (!snapshots.length) {
+            message(I18n.t('No snapshots saved yet'));
+            return;
+        }
+
+        // Each snapshot is compared with the one saved before it, which is next in the list
+        list.replaceChildren(...snapshots.map((snapshot, index) =>
+            this.createSnapshotItem(snapshot, snapshots[index + 1])
+        ));
+    }
+
+    createSnapshotItem(snapshot, previous) {
+        const item = document.createElement('li');
+        item.dataset.snapshotId = snapshot.id;
+
+        const header = document.createElement('div');
+        header.className = 'snapshot-header actions';
+
+        const time = document.createElement('strong');
+        time.textContent = I18n.formatDate(snapshot.createdAt);
+
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.placeholder = I18n.t('Add a label');
+        label.value = snapshot.label || '';
+        label.dataset.snapshotLabel = '';
+
+        // Opens in a new tab so the current report stays on screen
+        const open = document.createElement('a');
+        open.href = SnapshotStore.createLink(snapshot.id);
+        open.target = '_blank';
+        open.textContent = I18n.t('Open');
+
+        const button = (action, text) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.dataset.snapshotAction = action;
+            element.textContent = I18n.t(text);
+            return element;
+        };
+
+        header.append(time, label, open, button('export', 'Export'), button('delete', 'Delete'));
+
+        const changes = document.createElement('div');
+        changes.className = 'snapshot-changes';
+
+        if (!previous) {
+            changes.textContent = I18n.t('Oldest saved snapshot');
+        } else {
+            const { highlights, others } = SnapshotStore.summarizeChanges(previous.data, snapshot.data);
+            const parts = highlights.map(change => `${I18n.t(change.label)}: ${change.from ?? '—'} → ${change.to ?? '—'}`);
+            if (others.length) parts.push(I18n.plural(others.length, '{count} other field changed', '{count} other fields changed'));
+
+            changes.textContent = parts.length ? parts.join(' · ') : I18n.t('No changes since the previous snapshot');
+            changes.title = others.join('\n');
+        }
+
+        item.append(header, changes);
+        return item;
+    }
+
+    setSnapshotStatus(message, isError = false) {
+        const status = this.element('snapshotStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = isError ? 'export-status error' : 'export-status';
+    }
+
+    setupExportActions() {
+        const actions = this.element('exportActions');
+        if (!actions) return;
+
+        this.setExportEnabled(false);
+
+        actions.addEventListener('click', event => {
+            const button = event.target.closest('button');
+            if (!button) return;
+
+            this.exportReport(button.dataset.action, button.dataset.format);
+        });
+    }
+
+    setExportEnabled(enabled) {
+        const actions = this.element('exportActions');
+        if (!actions) return;
+
+        for (const button of actions.querySelectorAll('button')) {
+            button.disabled = !enabled;
+        }
+    }
+
+    async exportReport(action, format) {
+        try {
+            if (action === 'download') {
+                ReportExporter.downloadAs(this.data, format);
+                this.setExportStatus(I18n.t('Downloaded {format} report', { format: format.toUpperCase() }));
+            } else if (action === 'copy') {
+                await navigator.clipboard.writeText(ReportExporter.serialize(this.data, format));
+                this.setExportStatus(I18n.t('Copied {format} report to clipboard', { format: format.toUpperCase() }));
+            } else if (action === 'permalink') {
+                const link = await ReportExporter.createPermalink(this.data, location.href);
+                await navigator.clipboard.writeText(link);
+                this.setExportStatus(I18n.t('Copied permalink to clipboard'));
+            }
+        } catch (error) {
+            this.setExportStatus(I18n.t('Export failed: {error}', { error: error.message }), true);
+        }
+    }
+
+    setExportStatus(message, isError = false) {
+        const status = this.element('exportStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = isError ? 'export-status error' : 'export-status';
+    }
+
+    setupSupportSubmission() {
+        const review = this.element('supportReview');
+        const consent = this.element('supportConsent');
+        const send = this.element('supportSend');
+        if (!review || !consent || !send || !this.element('supportPreview')) return;
+
+        this.supportOptions = ReportSubmitter.resolveOptions();
+        const { endpoint, ticket, invalidTicket } = this.supportOptions;
+
+        if (!endpoint) {
+            review.disabled = true;
+            this.setSupportStatus(I18n.t('Sending reports is not configured on this page'));
+        } else if (invalidTicket) {
+            this.setSupportStatus(I18n.t('The ticket reference in this link is not valid and will not be sent'), true);
+        } else if (ticket) {
+            this.setSupportStatus(I18n.t('Ticket: {ticket}', { ticket }));
+        }
+
+        review.addEventListener('click', () => this.reviewSupportReport());
+        consent.addEventListener('change', () => {
+            send.disabled = !consent.checked;
+        });
+        send.addEventListener('click', () => this.sendSupportReport());
+        this.element('supportPreview').addEventListener('change', event => this.updateSupportSelection(event.target));
+
+        const retry = this.element('supportRetry');
+        if (retry) retry.addEventListener('click', () => this.flushSupportQueue());
+
+        // Queued reports go out as soon as the connection is back, or on the next visit
+        window.addEventListener('online', () => this.flushSupportQueue());
+        setInterval(() => this.flushSupportQueue(), this.supportOptions.retryInterval);
+        this.flushSupportQueue();
+    }
+
+    // Shows every field that would be sent, each with its own checkbox. The data is
+    // copied here so live updates cannot change what the user agreed to.
+    async reviewSupportReport() {
+        const preview = this.element('supportPreview');
+        await this.ready;
+
+        if (this.readOnly) {
+            this.setSupportStatus(I18n.t('A shared report cannot be sent; collect your own report first'), true);
+            return;
+        }
+
+        const data = JSON.parse(JSON.stringify(this.data));
+        const fields = ReportSubmitter.fields(data);
+        this.supportReview = { data, fields };
+
+        const titles = new Map(ClientInfoGatherer.collectors.map(collector => [collector.id, I18n.t(collector.title)]));
+        const sections = new Map();
+        fields.forEach((field, index) => {
+            const section = field.path[0];
+            if (!sections.has(section)) sections.set(section, []);
+            sections.get(section).push(index);
+        });
+
+        const checkbox = (name, value) => {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = true;
+            input.dataset[name] = value;
+            return input;
+        };
+
+        preview.replaceChildren(...[...sections].map(([section, indexes]) => {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.append(checkbox('supportSection', section), ` ${titles.get(section) || section} ` +
+                `(${I18n.plural(indexes.length, '{count} field', '{count} fields')})`);
+
+            const table = document.createElement('table');
+            table.className = 'matrix-table';
+            for (const index of indexes) {
+                const row = document.createElement('tr');
+                const select = document.createElement('td');
+                const key = document.createElement('td');
+                const value = document.createElement('td');
+
+                select.appendChild(checkbox('supportField', index));
+                key.textContent = fields[index].path.slice(1).join('.');
+                value.textContent = String(fields[index].value);
+                row.append(select, key, value);
+                table.appendChild(row);
+            }
+
+            details.append(summary, table);
+            return details;
+        }));
+
+        this.element('supportConsentArea').hidden = false;
+        this.updateSupportSelection();
+    }
+
+    updateSupportSelection(target) {
+        const preview = this.element('supportPreview');
+
+        // A section checkbox selects or redacts all of its fields
+        if (target && target.dataset.supportSection !== undefined) {
+            target.closest('details').querySelectorAll('[data-support-field]').forEach(input => {
+                input.checked = target.checked;
+            });
+        }
+
+        for (const details of preview.querySelectorAll('details')) {
+            const fields = [...details.querySelectorAll('[data-support-field]')];
+            const selected = fields.filter(input => input.checked).length;
+            const toggle = details.querySelector('[data-support-section]');
+            toggle.checked = selected === fields.length;
+            toggle.indeterminate = selected > 0 && selected < fields.length;
+        }
+
+        // Changing the selection withdraws consent given for the previous one
+        this.element('supportConsent').checked = false;
+        this.element('supportSend').disabled = true;
+
+        const redacted = preview.querySelectorAll('[data-support-field]:not(:checked)').length;
+        const total = this.supportReview.fields.length;
+        const { endpoint, ticket } = this.supportOptions;
+        const params = { selected: I18n.formatNumber(total - redacted), total: I18n.formatNumber(total), redacted: I18n.formatNumber(redacted), endpoint, ticket };
+        this.element('supportConsentText').textContent = ticket
+            ? I18n.t('I agree to send {selected} of {total} fields ({redacted} redacted) to {endpoint} for ticket {ticket}.', params)
+            : I18n.t('I agree to send {selected} of {total} fields ({redacted} redacted) to {endpoint}.', params);
+    }
+
+    async sendSupportReport() {
+        const preview = this.element('supportPreview');
+        const redacted = Array.from(
+            preview.querySelectorAll('[data-support-field]:not(:checked)'),
+            input => this.supportReview.fields[input.dataset.supportField].path
+        );
+        const submission = ReportSubmitter.createSubmission(this.supportReview.data, redacted, this.supportOptions);
+
+        // Consent covers one submission
+        this.element('supportConsent').checked = false;
+        this.element('supportSend').disabled = true;
+
+        if (!navigator.onLine) {
+            if (!ReportSubmitter.enqueue(submission)) {
+                this.setSupportStatus(I18n.t('You are offline and the report could not be queued, so it was not sent.'), true);
+                return;
+            }
+            this.setSupportStatus(I18n.t('You are offline. The report is queued and will be sent when the connection is back.'));
+            this.displaySupportQueue();
+            return;
+        }
+
+        this.setSupportStatus(I18n.t('Sending...'));
+        try {
+            await ReportSubmitter.send(submission, this.supportOptions.timeout);
+            this.setSupportStatus(I18n.t('Report sent. Reference: {id}', { id: submission.payload.submissionId }));
+            this.element('supportConsentArea').hidden = true;
+            preview.replaceChildren();
+        } catch (error) {
+            if (error.permanent) {
+                this.setSupportStatus(I18n.t('The support endpoint rejected the report: {error}', { error: error.message }), true);
+            } else if (ReportSubmitter.enqueue(submission)) {
+                this.setSupportStatus(I18n.t('Could not send the report ({error}). It is queued and will be retried.', { error: error.message }), true);
+            } else {
+                this.setSupportStatus(I18n.t('Could not send the report ({error}) and could not queue it for a retry.', { error: error.message }), true);
+            }
+        }
+        this.displaySupportQueue();
+    }
+
+    async flushSupportQueue() {
+        if (this.flushingSupportQueue || !ReportSubmitter.readQueue().length) {
+            this.displaySupportQueue();
+            return;
+        }
+
+        this.flushingSupportQueue = true;
+        try {
+            const { sent, failed } = await ReportSubmitter.flushQueue(this.supportOptions);
+            if (sent) this.setSupportStatus(I18n.plural(sent, 'Sent {count} queued report', 'Sent {count} queued reports'));
+            if (failed.length) {
+                this.setSupportStatus(I18n.plural(failed.length, 'Gave up on {count} queued report: {error}',
+                    'Gave up on {count} queued reports: {error}', { error: failed[0].lastError }), true);
+            }
+        } finally {
+            this.flushingSupportQueue = false;
+        }
+        this.displaySupportQueue();
+    }
+
+    displaySupportQueue() {
+        const status = this.element('supportQueue');
+        if (!status) return;
+
+        const queue = ReportSubmitter.readQueue();
+        const retry = this.element('supportRetry');
+        if (retry) retry.hidden = !queue.length;
+
+        if (!queue.length) {
+            status.textContent = '';
+        } else if (queue[0].lastError) {
+            status.textContent = I18n.plural(queue.length, '{count} report waiting to be sent (last error: {error})',
+                '{count} reports waiting to be sent (last error: {error})', { error: queue[0].lastError });
+        } else {
+            status.textContent = I18n.plural(queue.length, '{count} report waiting to be sent', '{count} reports waiting to be sent');
+        }
+    }
+
+    setSupportStatus(message, isError = false) {
+        const status = this.element('supportStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = isError ? 'export-status error' : 'export-status';
+    }
+
+    // Client Hints need an async round trip, so the result is shared between sections
+    detectUserAgent() {
+        if (!this.userAgentDetection) {
+            this.userAgentDetection = UserAgentParser.detect(navigator);
+        }
+        return this.userAgentDetection;
     }
 
-    gatherBrowserInfo() {
+    async gatherBrowserInfo() {
         const nav = navigator;
         const ua = nav.userAgent;
+        const parsed = await this.detectUserAgent();
         
-        this.data.browser = {
+        return {
             userAgent: ua,
             vendor: nav.vendor || 'Unknown',
             product: nav.product || 'Unknown',
@@ -41,30 +753,33 @@ class ClientInfoGatherer {
             doNotTrack: nav.doNotTrack || 'Not specified',
             
             // Parse browser details from user agent
-            browserName: this.getBrowserName(ua),
-            browserVersion: this.getBrowserVersion(ua),
-            engineName: this.getEngineName(ua),
-            engineVersion: this.getEngineVersion(ua)
+            browserName: parsed.browser.name,
+            browserVersion: parsed.browser.version,
+            engineName: parsed.engine.name,
+            engineVersion: parsed.engine.version,
+            deviceType: parsed.device.type,
+            parsedFrom: parsed.source
         };
     }
 
-    gatherSystemInfo() {
+    async gatherSystemInfo() {
         const nav = navigator;
-        const ua = nav.userAgent;
+        const parsed = await this.detectUserAgent();
         
-        this.data.system = {
+        return {
             platform: nav.platform || 'Unknown',
-            operatingSystem: this.getOperatingSystem(ua),
-            osVersion: this.getOSVersion(ua),
-            architecture: this.getArchitecture(ua),
+            operatingSystem: parsed.os.name,
+            osVersion: parsed.os.version,
+            architecture: parsed.architecture,
+            deviceModel: parsed.device.model,
             cpuCores: nav.hardwareConcurrency || 'Unknown',
-            maxTouchPoints: nav.maxTouchPoints || 0,
+            maxTouchPoints: nav.maxTouchPoints ?? 'Unknown',
             pdfViewerEnabled: nav.pdfViewerEnabled || false
         };
     }
 
-    gatherDeviceInfo() {
-        this.data.device = {
+    async gatherDeviceInfo() {
+        const device = {
             screenWidth: screen.width,
             screenHeight: screen.height,
             screenAvailWidth: screen.availWidth,
@@ -90,24 +805,29 @@ class ClientInfoGatherer {
 
         // Get battery info if available
         if (navigator.getBattery) {
-            navigator.getBattery().then(battery => {
-                this.data.device.battery = {
+            try {
+                const battery = await navigator.getBattery();
+                device.battery = {
                     charging: battery.charging,
-                    level: Math.round(battery.level * 100) + '%',
-                    chargingTime: battery.chargingTime === Infinity ? 'Unknown' : battery.chargingTime + ' seconds',
-                    dischargingTime: battery.dischargingTime === Infinity ? 'Unknown' : battery.dischargingTime + ' seconds'
+                    // Percent and seconds; Infinity means the browser cannot tell
+                    level: Math.round(battery.level * 100),
+                    chargingTime: battery.chargingTime === Infinity ? 'Unknown' : battery.chargingTime,
+                    dischargingTime: battery.dischargingTime === Infinity ? 'Unknown' : battery.dischargingTime
                 };
-                this.displayInfo(); // Refresh display with battery info
-            });
+            } catch (e) {
+                // Refused by a permissions policy; the rest of the section still shows
+            }
         }
+
+        return device;
     }
 
     gatherConnectionInfo() {
-        this.data.connection = {
+        return {
             connectionType: this.getConnectionType(),
             effectiveType: navigator.connection?.effectiveType || 'Unknown',
-            downlink: navigator.connection?.downlink || 'Unknown',
-            rtt: navigator.connection?.rtt || 'Unknown',
+            downlink: navigator.connection?.downlink ?? 'Unknown',
+            rtt: navigator.connection?.rtt ?? 'Unknown',
             saveData: navigator.connection?.saveData || false,
             
             // WebRTC info
@@ -120,12 +840,13 @@ class ClientInfoGatherer {
             
             // Timezone
             timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            // Minutes as getTimezoneOffset returns them (positive west of UTC); shown as UTC±hh:mm
             timezoneOffset: new Date().getTimezoneOffset()
         };
     }
 
     gatherFeatureSupport() {
-        this.data.features = {
+        return {
             // Storage
             localStorage: 'localStorage' in window,
             sessionStorage: 'sessionStorage' in window,
@@ -166,294 +887,372 @@ class ClientInfoGatherer {
             resizeObserver: 'ResizeObserver' in window,
             
             // CSS features
-            cssSupportsAPI: 'supports' in CSS,
-            cssVariables: CSS.supports('color', 'var(--test)')
+            cssSupportsAPI: typeof CSS !== 'undefined' && 'supports' in CSS,
+            cssVariables: typeof CSS !== 'undefined' && 'supports' in CSS && CSS.supports('color', 'var(--test)')
         };
     }
 
-    async gatherNetworkInfo() {
-        try {
-            // Try multiple IP services for redundancy
-            const ipServices = [
-                'https://api.ipify.org?format=json',
-                'https://httpbin.org/ip',
-                'https://api.myip.com',
-                'https://ipapi.co/json/'
-            ];
-
-            for (const service of ipServices) {
-                try {
-                    const response = await fetch(service);
-                    const data = await response.json();
-                    
-                    this.data.network = {
-                        publicIP: data.ip || data.origin || data.query || 'Unable to determine',
-                        ipService: service,
-                        headers: {}
-                    };
-
-                    // If we have additional data from the service
-                    if (data.country) this.data.network.country = data.country;
-                    if (data.city) this.data.network.city = data.city;
-                    if (data.region) this.data.network.region = data.region;
-                    if (data.org) this.data.network.organization = data.org;
-                    if (data.as) this.data.network.autonomous_system = data.as;
-
-                    break; // Exit loop on successful fetch
-                } catch (e) {
-                    continue; // Try next service
-                }
-            }
+    gatherNetworkInfo() {
+        // Providers, timeout and opt-out are configurable; see IpLookup.resolveOptions
+        return IpLookup.lookup();
+    }
 
-            // If all services failed
-            if (!this.data.network) {
-                this.data.network = {
-                    publicIP: 'Unable to determine (CORS/Network restrictions)',
-                    error: 'All IP services failed'
-                };
-            }
-        } catch (error) {
-            this.data.network = {
-                publicIP: 'Error retrieving IP',
-                error: error.message
-            };
+    getConnectionType() {
+        if (navigator.connection) {
+            return navigator.connection.effectiveType || navigator.connection.type || 'Unknown';
         }
+        return 'Not available';
     }
 
-    // Helper methods for parsing user agent
-    getBrowserName(ua) {
-        if (ua.includes('Firefox')) return 'Firefox';
-        if (ua.includes('Chrome') && !ua.includes('Chromium')) return 'Chrome';
-        if (ua.includes('Chromium')) return 'Chromium';
-        if (ua.includes('Safari') && !ua.includes('Chrome')) return 'Safari';
-        if (ua.includes('Edge')) return 'Edge';
-        if (ua.includes('Opera') || ua.includes('OPR')) return 'Opera';
-        if (ua.includes('Trident')) return 'Internet Explorer';
-        return 'Unknown';
+    checkWebGLSupport() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+        } catch (e) {
+            return false;
+        }
     }
 
-    getBrowserVersion(ua) {
-        const browserName = this.getBrowserName(ua);
-        let match;
-        
-        switch (browserName) {
-            case 'Chrome':
-                match = ua.match(/Chrome\/(\d+\.\d+)/);
-                break;
-            case 'Firefox':
-                match = ua.match(/Firefox\/(\d+\.\d+)/);
-                break;
-            case 'Safari':
-                match = ua.match(/Version\/(\d+\.\d+)/);
-                break;
-            case 'Edge':
-                match = ua.match(/Edge\/(\d+\.\d+)/);
-                break;
-            case 'Opera':
-                match = ua.match(/(?:Opera|OPR)\/(\d+\.\d+)/);
-                break;
-            default:
-                return 'Unknown';
+    checkWebGL2Support() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!canvas.getContext('webgl2');
+        } catch (e) {
+            return false;
         }
-        
-        return match ? match[1] : 'Unknown';
     }
 
-    getEngineName(ua) {
-        if (ua.includes('Blink')) return 'Blink';
-        if (ua.includes('WebKit')) return 'WebKit';
-        if (ua.includes('Gecko')) return 'Gecko';
-        if (ua.includes('Trident')) return 'Trident';
-        if (ua.includes('EdgeHTML')) return 'EdgeHTML';
-        return 'Unknown';
-    }
+    setupCompareView() {
+        const compareButton = this.element('compareButton');
+        const showSame = this.element('compareShowSame');
+        if (!compareButton || !showSame || !this.element('compareResult')) return;
 
-    getEngineVersion(ua) {
-        let match = ua.match(/WebKit\/(\d+\.\d+)/);
-        if (match) return match[1];
-        
-        match = ua.match(/Gecko\/(\d+)/);
-        if (match) return match[1];
-        
-        return 'Unknown';
+        for (const input of document.querySelectorAll('[data-compare-file]')) {
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                if (file) document.getElementById(input.dataset.compareFile).value = await file.text();
+            });
+        }
+
+        for (const button of document.querySelectorAll('[data-compare-current]')) {
+            button.addEventListener('click', () => {
+                document.getElementById(button.dataset.compareCurrent).value = ReportExporter.toJSON(this.data);
+            });
+        }
+
+        compareButton.addEventListener('click', () => this.compareReports());
+        showSame.addEventListener('change', () => {
+            if (this.lastDiff) this.displayDiff(this.lastDiff);
+        });
     }
 
-    getOperatingSystem(ua) {
-        if (ua.includes('Windows NT 10.0')) return 'Windows 10/11';
-        if (ua.includes('Windows NT 6.3')) return 'Windows 8.1';
-        if (ua.includes('Windows NT 6.2')) return 'Windows 8';
-        if (ua.includes('Windows NT 6.1')) return 'Windows 7';
-        if (ua.includes('Windows')) return 'Windows';
-        if (ua.includes('Mac OS X')) return 'macOS';
-        if (ua.includes('Linux')) return 'Linux';
-        if (ua.includes('Android')) return 'Android';
-        if (ua.includes('iOS')) return 'iOS';
-        if (ua.includes('iPad')) return 'iPadOS';
-        return 'Unknown';
+    async compareReports() {
+        const result = document.getElementById('compareResult');
+        const reports = [];
+
+        for (const [id, name] of [['compareLeft', I18n.t('Report A')], ['compareRight', I18n.t('Report B')]]) {
+            try {
+                reports.push(await ReportDiff.parseReport(document.getElementById(id).value));
+            } catch (error) {
+                this.lastDiff = null;
+                result.replaceChildren(SafeRenderer.message('error', `${name}: ${error.message}`));
+                return;
+            }
+        }
+
+        const sectionOrder = ClientInfoGatherer.collectors.map(collector => collector.id);
+        this.lastDiff = ReportDiff.compare(reports[0], reports[1], sectionOrder);
+        this.displayDiff(this.lastDiff);
     }
 
-    getOSVersion(ua) {
-        let match;
-        
-        // Windows
-        match = ua.match(/Windows NT (\d+\.\d+)/);
-        if (match) return match[1];
-        
-        // macOS
-        match = ua.match(/Mac OS X (\d+[._]\d+[._]\d+)/);
-        if (match) return match[1].replace(/_/g, '.');
-        
-        // Android
-        match = ua.match(/Android (\d+\.\d+)/);
-        if (match) return match[1];
-        
-        // iOS
-        match = ua.match(/OS (\d+_\d+)/);
-        if (match) return match[1].replace(/_/g, '.');
-        
-        return 'Unknown';
+    displayDiff(diff) {
+        const result = document.getElementById('compareResult');
+        const showSame = document.getElementById('compareShowSame').checked;
+        const titles = new Map(ClientInfoGatherer.collectors.map(collector => [collector.id, I18n.t(collector.title)]));
+        const cell = (tag, text) => {
+            const element = document.createElement(tag);
+            element.textContent = text === undefined ? '—' : String(text);
+            return element;
+        };
+
+        result.replaceChildren(...diff.map(({ section, entries, counts }) => {
+            const container = document.createElement('div');
+            container.className = 'diff-section';
+
+            const heading = document.createElement('h3');
+            const summary = document.createElement('span');
+            summary.className = 'diff-summary';
+            summary.textContent = ` ${I18n.t('{changed} changed, {added} added, {missing} missing', counts)}`;
+            heading.append(titles.get(section) || section, summary);
+
+            const rows = entries.filter(entry => showSame || entry.status !== 'same');
+            if (!rows.length) {
+                const note = document.createElement('div');
+                note.className = 'loading';
+                note.textContent = I18n.t('No differences');
+                container.append(heading, note);
+                return container;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'diff-table';
+            const head = document.createElement('tr');
+            head.append(cell('th', I18n.t('Key')), cell('th', I18n.t('Report A')), cell('th', I18n.t('Report B')));
+            table.appendChild(head);
+
+            for (const entry of rows) {
+                const row = document.createElement('tr');
+                row.className = `diff-${entry.status}`;
+                row.append(cell('td', entry.key), cell('td', entry.left), cell('td', entry.right));
+                table.appendChild(row);
+            }
+
+            container.append(heading, table);
+            return container;
+        }));
     }
 
-    getArchitecture(ua) {
-        if (ua.includes('WOW64') || ua.includes('Win64') || ua.includes('x86_64')) return '64-bit';
-        if (ua.includes('ARM')) return 'ARM';
-        if (ua.includes('x86')) return '32-bit';
-        return 'Unknown';
+    setupFingerprintAnalysis() {
+        const button = this.element('fingerprintButton');
+        if (!button || !this.element('fingerprintResult')) return;
+
+        button.addEventListener('click', () => this.analyzeFingerprint());
     }
 
-    getConnectionType() {
-        if (navigator.connection) {
-            return navigator.connection.effectiveType || navigator.connection.type || 'Unknown';
+    // Signals are measured on this browser, so they make no sense for a shared report
+    setFingerprintSignalsEnabled(enabled) {
+        for (const input of document.querySelectorAll('[data-fingerprint-signal]')) {
+            input.disabled = !enabled;
         }
-        return 'Not available';
     }
 
-    checkWebGLSupport() {
+    async analyzeFingerprint() {
+        const result = document.getElementById('fingerprintResult');
+        const names = this.readOnly ? [] : Array.from(
+            document.querySelectorAll('[data-fingerprint-signal]:checked'),
+            input => input.dataset.fingerprintSignal
+        );
+
+        this.fingerprintAnalysis = null;
+        result.replaceChildren(SafeRenderer.message('loading', I18n.t('Analyzing...')));
+
         try {
-            const canvas = document.createElement('canvas');
-            return !!(canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
-        } catch (e) {
-            return false;
+            const signals = await FingerprintAnalyzer.collectSignals(names);
+            this.fingerprintAnalysis = await FingerprintAnalyzer.analyze(this.data, signals);
+            this.displayFingerprint(this.fingerprintAnalysis);
+        } catch (error) {
+            result.replaceChildren(SafeRenderer.message('error', I18n.t('Analysis failed: {error}', { error: error.message })));
         }
     }
 
-    checkWebGL2Support() {
-        try {
-            const canvas = document.createElement('canvas');
-            return !!canvas.getContext('webgl2');
-        } catch (e) {
-            return false;
+    displayFingerprint({ fingerprint, attributes, totalBits, oneIn, capped }) {
+        const result = document.getElementById('fingerprintResult');
+
+        const summary = this.createInfoItems([
+            ['Fingerprint (SHA-256)', fingerprint],
+            ['Attributes', attributes.length],
+            ['Estimated Entropy', Math.round(totalBits * 10) / 10, 'bits'],
+            ['Estimated Uniqueness', I18n.t(capped ? 'likely unique: more than 1 in {count} browsers' : 'about 1 in {count} browsers', {
+                count: I18n.formatNumber(oneIn)
+            })]
+        ]);
+
+        const note = document.createElement('p');
+        note.className = 'fingerprint-note';
+        note.textContent = I18n.t('Bits are estimated from approximate reference shares and added up as if ' +
+            'the attributes were independent, so the total overstates how unique this browser is. ' +
+            'Values not in the reference count as rare.');
+
+        const table = this.createTable(
+            ['Rank', 'Attribute', 'Value', 'Share', 'Bits'],
+            attributes.map((attribute, index) => [
+                index + 1,
+                I18n.t(attribute.label),
+                attribute.value,
+                `${attribute.listed ? '' : '≤ '}${I18n.formatNumber(attribute.share, { style: 'percent', maximumSignificantDigits: 2 })}`,
+                I18n.formatNumber(attribute.bits, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            ])
+        );
+
+        result.replaceChildren(summary, note, table);
+    }
+
+    createSections() {
+        // Pages without the #sections root may provide their own `${id}Info` containers
+        const root = this.element('sections');
+        if (!root) return;
+
+        for (const collector of this.collectors) {
+            const section = document.createElement('div');
+            section.className = 'container';
+
+            // Marked like the static headings so a language change retitles it
+            const heading = document.createElement('h2');
+            heading.dataset.i18n = collector.title;
+            heading.textContent = I18n.t(collector.title);
+
+            const body = document.createElement('div');
+            body.id = `${collector.id}Info`;
+            body.appendChild(SafeRenderer.message('loading', I18n.t('Loading...')));
+
+            section.append(heading, body);
+            root.appendChild(section);
         }
     }
 
     displayInfo() {
-        this.displayNetworkInfo();
-        this.displayBrowserInfo();
-        this.displaySystemInfo();
-        this.displayDeviceInfo();
-        this.displayConnectionInfo();
-        this.displayFeatureInfo();
+        for (const collector of this.collectors) {
+            this.displaySection(collector);
+        }
         this.displayRawData();
     }
 
-    displayNetworkInfo() {
-        const container = document.getElementById('networkInfo');
-        if (!this.data.network) {
-            container.innerHTML = '<div class="loading">Loading...</div>';
+    displaySection(collector) {
+        const container = this.element(`${collector.id}Info`);
+        const sectionData = this.data[collector.id];
+        if (!container) return;
+
+        if (this.sectionErrors[collector.id]) {
+            this.displaySectionError(collector, this.sectionErrors[collector.id]);
             return;
         }
 
-        container.innerHTML = this.createInfoItems([
-            ['Public IP Address', this.data.network.publicIP],
-            ['Country', this.data.network.country || 'Not available'],
-            ['City', this.data.network.city || 'Not available'],
-            ['Region', this.data.network.region || 'Not available'],
-            ['Organization', this.data.network.organization || 'Not available'],
-            ['Autonomous System', this.data.network.autonomous_system || 'Not available'],
-            ['IP Service Used', this.data.network.ipService || 'Not available']
-        ]);
+        if (sectionData === undefined) {
+            container.replaceChildren(SafeRenderer.message('loading', I18n.t(this.readOnly ? 'Not included in this report' : 'Loading...')));
+            return;
+        }
+
+        try {
+            const rendered = collector.render(sectionData, this);
+            container.replaceChildren(rendered instanceof Node ? rendered : this.createInfoItems(rendered));
+        } catch (error) {
+            this.displaySectionError(collector, error);
+        }
     }
 
-    displayBrowserInfo() {
-        const container = document.getElementById('browserInfo');
-        container.innerHTML = this.createInfoItems([
-            ['Browser Name', this.data.browser.browserName],
-            ['Browser Version', this.data.browser.browserVersion],
-            ['Engine Name', this.data.browser.engineName],
-            ['Engine Version', this.data.browser.engineVersion],
-            ['User Agent', this.data.browser.userAgent],
-            ['Vendor', this.data.browser.vendor],
-            ['App Name', this.data.browser.appName],
-            ['App Version', this.data.browser.appVersion],
-            ['Language', this.data.browser.language],
-            ['Languages', this.data.browser.languages.join(', ')],
-            ['Cookies Enabled', this.data.browser.cookieEnabled ? 'Yes' : 'No'],
-            ['Online Status', this.data.browser.onLine ? 'Online' : 'Offline'],
-            ['Do Not Track', this.data.browser.doNotTrack]
-        ]);
+    displaySectionError(collector, error) {
+        const container = this.element(`${collector.id}Info`);
+        if (!container) return;
+
+        const message = document.createElement('div');
+        message.className = 'error';
+        message.textContent = I18n.t('Could not load this section: {error}', { error: error && error.message ? error.message : error });
+        container.replaceChildren(message);
+
+        // A shared report cannot be gathered again on this machine
+        if (this.readOnly) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'actions section-actions';
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = I18n.t('Retry');
+        retry.addEventListener('click', () => this.runCollector(collector));
+
+        actions.appendChild(retry);
+        container.appendChild(actions);
     }
 
-    displaySystemInfo() {
-        const container = document.getElementById('systemInfo');
-        container.innerHTML = this.createInfoItems([
-            ['Operating System', this.data.system.operatingSystem],
-            ['OS Version', this.data.system.osVersion],
-            ['Platform', this.data.system.platform],
-            ['Architecture', this.data.system.architecture],
-            ['CPU Cores', this.data.system.cpuCores],
-            ['Max Touch Points', this.data.system.maxTouchPoints],
-            ['PDF Viewer Enabled', this.data.system.pdfViewerEnabled ? 'Yes' : 'No']
-        ]);
+    renderNetworkInfo(network) {
+        return [
+            ['Lookup Status', this.describeLookupStatus(network)],
+            // 'Not looked up' or 'Unable to determine' unless the lookup succeeded
+            ['Public IP Address', network.status === 'ok' ? network.publicIP : I18n.t(network.publicIP)],
+            ['Country', network.country],
+            ['City', network.city],
+            ['Region', network.region],
+            ['Organization', network.organization],
+            ['Autonomous System', network.autonomous_system],
+            ['IP Service Used', network.ipService]
+        ];
+    }
+
+    describeLookupStatus(network) {
+        if (network.status === 'skipped') return I18n.t('Skipped: {reason}', { reason: I18n.t(network.reason) });
+        if (network.status === 'failed') {
+            const errors = network.errors.map(({ provider, error }) => `${provider} (${error})`);
+            return I18n.t('Failed: {reason}', { reason: errors.join(', ') });
+        }
+        return network.provider ? I18n.t('OK via {provider}', { provider: network.provider }) : 'Not available';
     }
 
-    displayDeviceInfo() {
-        const container = document.getElementById('deviceInfo');
-        const batteryInfo = this.data.device.battery ? [
-            ['Battery Charging', this.data.device.battery.charging ? 'Yes' : 'No'],
-            ['Battery Level', this.data.device.battery.level],
-            ['Charging Time', this.data.device.battery.chargingTime],
-            ['Discharging Time', this.data.device.battery.dischargingTime]
+    renderBrowserInfo(browser) {
+        return [
+            ['Browser Name', browser.browserName],
+            ['Browser Version', browser.browserVersion],
+            ['Engine Name', browser.engineName],
+            ['Engine Version', browser.engineVersion],
+            ['Device Type', browser.deviceType],
+            ['Parsed From', I18n.t(browser.parsedFrom === 'client-hints' ? 'Client Hints' : 'User Agent')],
+            ['User Agent', browser.userAgent],
+            ['Vendor', browser.vendor],
+            ['App Name', browser.appName],
+            ['App Version', browser.appVersion],
+            ['Language', browser.language],
+            ['Languages', browser.languages],
+            ['Cookies Enabled', browser.cookieEnabled],
+            ['Online Status', I18n.t(browser.onLine ? 'Online' : 'Offline')],
+            ['Do Not Track', browser.doNotTrack]
+        ];
+    }
+
+    renderSystemInfo(system) {
+        return [
+            ['Operating System', system.operatingSystem],
+            ['OS Version', system.osVersion],
+            ['Platform', system.platform],
+            ['Architecture', system.architecture],
+            ['Device Model', system.deviceModel],
+            ['CPU Cores', system.cpuCores],
+            ['Max Touch Points', system.maxTouchPoints],
+            ['PDF Viewer Enabled', system.pdfViewerEnabled]
+        ];
+    }
+
+    renderDeviceInfo(device) {
+        const batteryInfo = device.battery ? [
+            ['Battery Charging', device.battery.charging],
+            ['Battery Level', device.battery.level, '%'],
+            ['Charging Time', device.battery.chargingTime, 'duration'],
+            ['Discharging Time', device.battery.dischargingTime, 'duration']
         ] : [];
 
-        container.innerHTML = this.createInfoItems([
-            ['Screen Resolution', `${this.data.device.screenWidth} × ${this.data.device.screenHeight}`],
-            ['Available Screen', `${this.data.device.screenAvailWidth} × ${this.data.device.screenAvailHeight}`],
-            ['Viewport Size', `${this.data.device.viewportWidth} × ${this.data.device.viewportHeight}`],
-            ['Color Depth', `${this.data.device.screenColorDepth} bits`],
-            ['Pixel Depth', `${this.data.device.screenPixelDepth} bits`],
-            ['Device Pixel Ratio', this.data.device.devicePixelRatio],
-            ['Screen Orientation', typeof this.data.device.screenOrientation === 'object' ? 
-                `${this.data.device.screenOrientation.type} (${this.data.device.screenOrientation.angle}°)` : 
-                this.data.device.screenOrientation],
-            ['Touch Support', this.data.device.touchSupport ? 'Yes' : 'No'],
-            ['Pointer Support', this.data.device.pointerSupport ? 'Yes' : 'No'],
-            ['Battery API Support', this.data.device.batterySupport ? 'Yes' : 'No'],
+        return [
+            ['Screen Resolution', `${I18n.formatNumber(device.screenWidth)} × ${I18n.formatNumber(device.screenHeight)}`],
+            ['Available Screen', `${I18n.formatNumber(device.screenAvailWidth)} × ${I18n.formatNumber(device.screenAvailHeight)}`],
+            ['Viewport Size', `${I18n.formatNumber(device.viewportWidth)} × ${I18n.formatNumber(device.viewportHeight)}`],
+            ['Color Depth', device.screenColorDepth, 'bits'],
+            ['Pixel Depth', device.screenPixelDepth, 'bits'],
+            ['Device Pixel Ratio', device.devicePixelRatio],
+            ['Screen Orientation', typeof device.screenOrientation === 'object' ? 
+                `${device.screenOrientation.type} (${device.screenOrientation.angle}°)` : 
+                device.screenOrientation],
+            ['Touch Support', device.touchSupport],
+            ['Pointer Support', device.pointerSupport],
+            ['Battery API Support', device.batterySupport],
             ...batteryInfo
-        ]);
+        ];
     }
 
-    displayConnectionInfo() {
-        const container = document.getElementById('connectionInfo');
-        container.innerHTML = this.createInfoItems([
-            ['Connection Type', this.data.connection.connectionType],
-            ['Effective Type', this.data.connection.effectiveType],
-            ['Downlink Speed', this.data.connection.downlink + ' Mbps'],
-            ['Round Trip Time', this.data.connection.rtt + ' ms'],
-            ['Save Data Mode', this.data.connection.saveData ? 'Enabled' : 'Disabled'],
-            ['Protocol', this.data.connection.protocol],
-            ['Hostname', this.data.connection.hostname],
-            ['Port', this.data.connection.port],
-            ['Timezone', this.data.connection.timezone],
-            ['Timezone Offset', this.data.connection.timezoneOffset + ' minutes'],
-            ['WebRTC Support', this.data.connection.webRTCSupport ? 'Yes' : 'No']
-        ]);
+    renderConnectionInfo(connection) {
+        return [
+            ['Connection Type', connection.connectionType],
+            ['Effective Type', connection.effectiveType],
+            ['Downlink Speed', connection.downlink, 'Mbps'],
+            ['Round Trip Time', connection.rtt, 'ms'],
+            ['Save Data Mode', I18n.t(connection.saveData ? 'Enabled' : 'Disabled')],
+            ['Protocol', connection.protocol],
+            ['Hostname', connection.hostname],
+            ['Port', connection.port],
+            ['Timezone', connection.timezone],
+            ['Timezone Offset', connection.timezoneOffset, 'utcOffset'],
+            ['WebRTC Support', connection.webRTCSupport]
+        ];
     }
 
-    displayFeatureInfo() {
-        const container = document.getElementById('featureInfo');
-        const features = this.data.features;
-        
-        container.innerHTML = this.createInfoItems([
+    renderFeatureInfo(features) {
+        return [
             ['Local Storage', features.localStorage ? 'Supported' : 'Not supported'],
             ['Session Storage', features.sessionStorage ? 'Supported' : 'Not supported'],
             ['IndexedDB', features.indexedDB ? 'Supported' : 'Not supported'],
@@ -470,35 +1269,117 @@ class ClientInfoGatherer {
             ['Gamepad API', features.gamepad ? 'Supported' : 'Not supported'],
             ['Vibration API', features.vibrate ? 'Supported' : 'Not supported'],
             ['Crypto API', features.crypto ? 'Supported' : 'Not supported'],
-            ['Secure Context', features.secureContext ? 'Yes' : 'No'],
+            ['Secure Context', features.secureContext],
             ['Performance Observer', features.performanceObserver ? 'Supported' : 'Not supported'],
             ['ES6 Modules', features.modules ? 'Supported' : 'Not supported'],
             ['Intersection Observer', features.intersectionObserver ? 'Supported' : 'Not supported'],
             ['Resize Observer', features.resizeObserver ? 'Supported' : 'Not supported'],
             ['CSS Supports API', features.cssSupportsAPI ? 'Supported' : 'Not supported'],
             ['CSS Variables', features.cssVariables ? 'Supported' : 'Not supported']
-        ]);
+        ];
     }
 
     displayRawData() {
-        const container = document.getElementById('rawData');
+        const container = this.element('rawData');
+        if (!container) return;
+
         container.textContent = JSON.stringify(this.data, null, 2);
     }
 
+    // For sections that read better as a grid than as label/value pairs. Headers are
+    // localized like labels and cells are formatted like info item values.
+    createTable(headers, rows) {
+        const table = document.createElement('table');
+        table.className = 'matrix-table';
+
+        const createRow = (cells, tag, format) => {
+            const row = document.createElement('tr');
+            for (const text of cells) {
+                const cell = document.createElement(tag);
+                cell.textContent = text === undefined || text === null ? '—' : format(text);
+                row.appendChild(cell);
+            }
+            return row;
+        };
+
+        table.appendChild(createRow(headers, 'th', header => I18n.t(header)));
+        rows.forEach(cells => table.appendChild(createRow(cells, 'td', cell => SafeRenderer.formatValue(cell))));
+        return table;
+    }
+
+    // Label/value rows as DOM nodes; see SafeRenderer for how values are formatted
     createInfoItems(items) {
-        return items.map(([label, value]) => 
-            `<div class="info-item">
-                <span class="info-label">${label}:</span>
-                <span class="info-value">${value || 'Not available'}</span>
-            </div>`
-        ).join('');
+        return SafeRenderer.infoItems(items);
     }
 }
 
-// Initialize when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new ClientInfoGatherer();
+ClientInfoGatherer.collectors = [];
+
+// Built-in sections, registered in display order
+ClientInfoGatherer.registerCollector({
+    id: 'network',
+    title: '📍 Network Information',
+    gather: gatherer => gatherer.gatherNetworkInfo(),
+    render: (network, gatherer) => gatherer.renderNetworkInfo(network)
+});
+
+ClientInfoGatherer.registerCollector({
+    id: 'browser',
+    title: '🖥️ Browser Information',
+    gather: gatherer => gatherer.gatherBrowserInfo(),
+    render: (browser, gatherer) => gatherer.renderBrowserInfo(browser),
+    watch: [
+        { target: () => window, events: ['online', 'offline'] }
+    ]
+});
+
+ClientInfoGatherer.registerCollector({
+    id: 'system',
+    title: '💻 System Information',
+    gather: gatherer => gatherer.gatherSystemInfo(),
+    render: (system, gatherer) => gatherer.renderSystemInfo(system)
 });
 
+ClientInfoGatherer.registerCollector({
+    id: 'device',
+    title: '📱 Device Information',
+    gather: gatherer => gatherer.gatherDeviceInfo(),
+    render: (device, gatherer) => gatherer.renderDeviceInfo(device),
+    watch: [
+        { target: () => window, events: ['resize'] },
+        { target: () => screen.orientation, events: ['change'] },
+        { target: () => navigator.getBattery && navigator.getBattery(), events: ['chargingchange', 'levelchange', 'chargingtimechange', 'dischargingtimechange'] },
+        { target: () => window.matchMedia && matchMedia('(orientation: portrait)'), events: ['change'] },
+        // Fires once when the window moves to a screen with a different pixel ratio
+        { target: () => window.matchMedia && matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`), events: ['change'] }
+    ]
+});
+
+ClientInfoGatherer.registerCollector({
+    id: 'connection',
+    title: '🌐 Connection Information',
+    gather: gatherer => gatherer.gatherConnectionInfo(),
+    render: (connection, gatherer) => gatherer.renderConnectionInfo(connection),
+    watch: [
+        { target: () => navigator.connection, events: ['change'] }
+    ]
+});
+
+ClientInfoGatherer.registerCollector({
+    id: 'features',
+    title: '🔧 Feature Support',
+    gather: gatherer => gatherer.gatherFeatureSupport(),
+    render: (features, gatherer) => gatherer.renderFeatureInfo(features)
+});
+
+// Only the dashboard page starts itself, marked by <script src="index.js" data-autostart>.
+// Pages that embed the library, or import it as a module (where currentScript is
+// null), create their own instance.
+if (document.currentScript && document.currentScript.hasAttribute('data-autostart')) {
+    document.addEventListener('DOMContentLoaded', () => {
+        new ClientInfoGatherer();
+    });
+}
+
 // Export for potential use in other scripts
 window.ClientInfoGatherer = ClientInfoGatherer;
\ No newline at end of file
@@ -0,0 +1,147 @@
+// Public IP Lookup
+// Races a configurable list of IP/geo providers with per-request timeouts
+
+// Each provider maps its own response shape onto the fields the dashboard shows
+const IP_LOOKUP_PROVIDERS = [
+    {
+        name: 'ipify',
+        url: 'https://api.ipify.org?format=json',
+        map: data => ({ publicIP: data.ip })
+    },
+    {
+        name: 'httpbin',
+        url: 'https://httpbin.org/ip',
+        // httpbin lists every hop when proxied; the first one is the client
+        map: data => ({ publicIP: data.origin && data.origin.split(',')[0].trim() })
+    },
+    {
+        name: 'myip.com',
+        url: 'https://api.myip.com',
+        map: data => ({ publicIP: data.ip, country: data.country })
+    },
+    {
+        name: 'ipapi.co',
+        url: 'https://ipapi.co/json/',
+        map: data => ({
+            publicIP: data.ip,
+            country: data.country_name || data.country,
+            city: data.city,
+            region: data.region,
+            organization: data.org,
+            autonomous_system: data.asn
+        })
+    }
+];
+
+const IP_LOOKUP_DEFAULTS = {
+    enabled: true,
+    timeout: 5000,
+    providers: IP_LOOKUP_PROVIDERS
+};
+
+const IP_LOOKUP_FIELDS = ['publicIP', 'country', 'city', 'region', 'organization', 'autonomous_system'];
+
+class IpLookup {
+    // Options come from the defaults, then window.clientInfoConfig.ipLookup, then the
+    // page URL: ?ipLookup=off skips lookups and ?ipEndpoint=<url> uses a single endpoint
+    static resolveOptions(overrides = {}, search = location.search) {
+        const config = window.clientInfoConfig && window.clientInfoConfig.ipLookup;
+        const options = { ...IP_LOOKUP_DEFAULTS, ...config, ...overrides };
+        const params = new URLSearchParams(search);
+
+        if (options.endpoint) {
+            options.providers = [this.customProvider(options.endpoint)];
+        }
+        if (params.get('ipEndpoint')) {
+            options.providers = [this.customProvider(params.get('ipEndpoint'))];
+        }
+        if (params.get('ipLookup') === 'off') {
+            options.enabled = false;
+        }
+
+        return options;
+    }
+
+    // A self-hosted endpoint may answer in any of the common shapes
+    static customProvider(url) {
+        return {
+            name: 'custom',
+            url,
+            map: data => ({
+                publicIP: data.ip || data.origin || data.query,
+                country: data.country_name || data.country,
+                city: data.city,
+                region: data.region || data.regionName,
+                organization: data.org || data.organization,
+                autonomous_system: data.as || data.asn
+            })
+        };
+    }
+
+    // Resolves with { status: 'ok' | 'skipped' | 'failed', ... }; never rejects
+    static async lookup(overrides = {}) {
+        const options = this.resolveOptions(overrides);
+
+        if (!options.enabled) {
+            return { status: 'skipped', publicIP: 'Not looked up', reason: 'IP lookup is disabled by configuration' };
+        }
+        if (!options.providers.length) {
+            return { status: 'skipped', publicIP: 'Not looked up', reason: 'No IP lookup providers configured' };
+        }
+
+        const controllers = options.providers.map(() => new AbortController());
+        const attempts = options.providers.map((provider, index) =>
+            this.query(provider, options.timeout, controllers[index])
+        );
+
+        try {
+            const result = await Promise.any(attempts);
+
+            // The losing requests are no longer needed
+            controllers.forEach(controller => controller.abort());
+            return result;
+        } catch (aggregate) {
+            return {
+                status: 'failed',
+                publicIP: 'Unable to determine',
+                errors: aggregate.errors.map((error, index) => ({
+                    provider: options.providers[index].name,
+                    error: error.message
+                }))
+            };
+        }
+    }
+
+    static async query(provider, timeout, controller) {
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(provider.url, { signal: controller.signal, cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const mapped = provider.map(await response.json()) || {};
+            if (!mapped.publicIP) {
+                throw new Error('Response did not include an IP address');
+            }
+
+            const result = { status: 'ok', provider: provider.name, ipService: provider.url };
+            for (const field of IP_LOOKUP_FIELDS) {
+                if (mapped[field]) result[field] = String(mapped[field]);
+            }
+            return result;
+        } catch (error) {
+            // Losing requests are aborted too, but by then the race is already settled
+            if (error.name === 'AbortError') {
+                throw new Error(`Timed out after ${timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Export for potential use in other scripts
+window.IpLookup = IpLookup;
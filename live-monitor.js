@@ -0,0 +1,89 @@
+// Live Monitor
+// Re-gathers sections when the browser reports a relevant change and keeps a
+// timestamped log of every value that changed
+
+const LIVE_REFRESH_DELAY = 250;
+const LIVE_LOG_LIMIT = 500;
+
+class LiveMonitor {
+    constructor(gatherer) {
+        this.gatherer = gatherer;
+        this.subscriptions = [];
+        this.timers = new Map();
+        this.running = false;
+    }
+
+    // Subscribes to every `watch` entry of the gatherer's collectors. Each entry is
+    // { target: () => EventTarget | Promise<EventTarget>, events: [...] }.
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        for (const collector of this.gatherer.collectors) {
+            for (const watch of collector.watch || []) {
+                await this.subscribe(collector, watch);
+            }
+        }
+    }
+
+    stop() {
+        this.running = false;
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    async subscribe(collector, watch) {
+        let target;
+        try {
+            target = await watch.target();
+        } catch (e) {
+            return; // The API behind this watch is unavailable or refused
+        }
+
+        // stop() may have been called while the target was resolving
+        if (!target || !this.running) return;
+
+        for (const event of watch.events) {
+            const listener = () => this.schedule(collector, event);
+            target.addEventListener(event, listener);
+            this.subscriptions.push(() => target.removeEventListener(event, listener));
+        }
+    }
+
+    // Bursts such as resize are coalesced into one refresh per section
+    schedule(collector, event) {
+        clearTimeout(this.timers.get(collector.id));
+        this.timers.set(collector.id, setTimeout(() => {
+            this.timers.delete(collector.id);
+            this.refresh(collector, event);
+        }, LIVE_REFRESH_DELAY));
+    }
+
+    async refresh(collector, event) {
+        const changes = await this.gatherer.refreshCollector(collector);
+        if (!this.running || !changes.length) return;
+
+        const time = new Date().toISOString();
+        const log = this.gatherer.data.changeLog || [];
+
+        for (const change of changes) {
+            log.push({
+                time,
+                event,
+                section: collector.id,
+                key: change.key,
+                from: change.left === undefined ? null : change.left,
+                to: change.right === undefined ? null : change.right
+            });
+        }
+
+        this.gatherer.data.changeLog = log.slice(-LIVE_LOG_LIMIT);
+        this.gatherer.displayChangeLog();
+        this.gatherer.displayRawData();
+    }
+}
+
+// Export for potential use in other scripts
+window.LiveMonitor = LiveMonitor;
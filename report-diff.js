@@ -0,0 +1,69 @@
+// Report Diff
+// Compares two collected reports key by key, grouped by section
+
+const DIFF_SAME = 'same';
+const DIFF_CHANGED = 'changed';
+const DIFF_ADDED = 'added';
+const DIFF_MISSING = 'missing';
+
+class ReportDiff {
+    // Returns [{ section, entries: [{ key, status, left, right }], counts }] where
+    // "added" keys exist only in the right report and "missing" ones only in the left.
+    // Sections follow `sectionOrder`, then any extra ones in the order they appear.
+    static compare(left, right, sectionOrder = []) {
+        const sections = [...new Set([
+            ...sectionOrder,
+            ...Object.keys(left || {}),
+            ...Object.keys(right || {})
+        ])].filter(section => (left && section in left) || (right && section in right));
+
+        return sections.map(section => {
+            const entries = this.compareSection(left ? left[section] : undefined, right ? right[section] : undefined);
+            const counts = { same: 0, changed: 0, added: 0, missing: 0 };
+            entries.forEach(entry => counts[entry.status]++);
+
+            return { section, entries, counts };
+        });
+    }
+
+    static compareSection(leftSection, rightSection) {
+        const leftValues = new Map(leftSection === undefined ? [] : ReportExporter.flatten(leftSection));
+        const rightValues = new Map(rightSection === undefined ? [] : ReportExporter.flatten(rightSection));
+        const keys = [...new Set([...leftValues.keys(), ...rightValues.keys()])];
+
+        return keys.map(key => {
+            const inLeft = leftValues.has(key);
+            const inRight = rightValues.has(key);
+            const left = leftValues.get(key);
+            const right = rightValues.get(key);
+
+            let status = DIFF_SAME;
+            if (!inLeft) status = DIFF_ADDED;
+            else if (!inRight) status = DIFF_MISSING;
+            else if (!Object.is(left, right)) status = DIFF_CHANGED;
+
+            return { key, status, left, right };
+        });
+    }
+
+    // Accepts report JSON or a permalink to a shared report
+    static async parseReport(text) {
+        const trimmed = text.trim();
+        if (!trimmed) throw new Error('Report is empty');
+
+        if (/^https?:\/\//.test(trimmed)) {
+            const report = await ReportExporter.readPermalink(new URL(trimmed).hash);
+            if (!report) throw new Error('Link does not contain a shared report');
+            return report;
+        }
+
+        const report = JSON.parse(trimmed);
+        if (!report || typeof report !== 'object' || Array.isArray(report)) {
+            throw new Error('Report must be a JSON object');
+        }
+        return report;
+    }
+}
+
+// Export for potential use in other scripts
+window.ReportDiff = ReportDiff;
@@ -0,0 +1,147 @@
+// Report Export
+// Serializes a collected report as JSON, CSV or Markdown and packs it into
+// a URL fragment so it can be shared and reopened read-only
+
+const REPORT_PERMALINK_KEY = 'report';
+
+// Payload prefixes: deflate-compressed where CompressionStream exists, plain otherwise
+const REPORT_PERMALINK_DEFLATE = 'd.';
+const REPORT_PERMALINK_PLAIN = 'j.';
+
+const REPORT_FORMATS = {
+    json: { extension: 'json', type: 'application/json', serialize: data => ReportExporter.toJSON(data) },
+    csv: { extension: 'csv', type: 'text/csv', serialize: data => ReportExporter.toCSV(data) },
+    markdown: { extension: 'md', type: 'text/markdown', serialize: data => ReportExporter.toMarkdown(data) }
+};
+
+class ReportExporter {
+    static serialize(data, format) {
+        const entry = REPORT_FORMATS[format];
+        if (!entry) throw new Error(`Unknown export format: ${format}`);
+        return entry.serialize(data);
+    }
+
+    static downloadAs(data, format) {
+        const entry = REPORT_FORMATS[format];
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.download(this.serialize(data, format), `client-report-${stamp}.${entry.extension}`, entry.type);
+    }
+
+    static toJSON(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    static toCSV(data) {
+        const rows = this.flatten(data).map(([key, value]) =>
+            `${this.csvCell(key)},${this.csvCell(value)}`
+        );
+        return ['key,value', ...rows].join('\r\n') + '\r\n';
+    }
+
+    // One table per section so the result reads well pasted into an issue tracker
+    static toMarkdown(data) {
+        return Object.entries(data).map(([section, value]) => {
+            const rows = this.flatten(value).map(([key, item]) =>
+                `| ${this.markdownCell(key)} | ${this.markdownCell(item)} |`
+            );
+            return [`### ${section}`, '', '| Key | Value |', '| --- | --- |', ...rows].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    // Turns nested objects and arrays into [dotted.key, primitive] pairs
+    static flatten(value, prefix = '') {
+        if (value === null || typeof value !== 'object') {
+            return [[prefix, value]];
+        }
+
+        const entries = Object.entries(value);
+        if (!entries.length) return prefix ? [[prefix, '']] : [];
+
+        return entries.flatMap(([key, item]) =>
+            this.flatten(item, prefix ? `${prefix}.${key}` : key)
+        );
+    }
+
+    static csvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+
+        // Keep spreadsheets from evaluating collected strings as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static markdownCell(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    }
+
+    static async createPermalink(data, baseUrl = location.href) {
+        const url = new URL(baseUrl);
+        url.hash = `${REPORT_PERMALINK_KEY}=${await this.encode(data)}`;
+        return url.toString();
+    }
+
+    // Returns the report packed into a URL fragment, or null when there is none
+    static async readPermalink(hash = location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const payload = params.get(REPORT_PERMALINK_KEY);
+        return payload ? this.decode(payload) : null;
+    }
+
+    static async encode(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+
+        if (typeof CompressionStream === 'function') {
+            const compressed = await this.pipeBytes(bytes, new CompressionStream('deflate-raw'));
+            return REPORT_PERMALINK_DEFLATE + this.toBase64Url(compressed);
+        }
+
+        return REPORT_PERMALINK_PLAIN + this.toBase64Url(bytes);
+    }
+
+    static async decode(payload) {
+        let bytes = this.fromBase64Url(payload.slice(2));
+
+        if (payload.startsWith(REPORT_PERMALINK_DEFLATE)) {
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error('This browser cannot decompress shared reports');
+            }
+            bytes = await this.pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (!payload.startsWith(REPORT_PERMALINK_PLAIN)) {
+            throw new Error('Unrecognized shared report format');
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    static async pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    static download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for potential use in other scripts
+window.ReportExporter = ReportExporter;
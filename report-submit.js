@@ -0,0 +1,171 @@
+// Report Submission
+// Sends a report, minus the fields the user redacted, to a support endpoint and
+// keeps it in a local queue until the endpoint has accepted it
+
+const SUBMIT_QUEUE_KEY = 'client-info-support-queue';
+const SUBMIT_REDACTED = '[redacted]';
+const SUBMIT_TICKET_PATTERN = /^[\w.-]{1,64}$/;
+
+const SUBMIT_DEFAULTS = {
+    endpoint: null,
+    timeout: 15000,
+    // Queued reports are retried this often while the page is open, and on `online`
+    retryInterval: 30000,
+    maxAttempts: 20
+};
+
+class ReportSubmitter {
+    // The endpoint comes from window.clientInfoConfig.support.endpoint. For local
+    // testing ?supportEndpoint=<path> is accepted too, but only on this origin, so a
+    // crafted link cannot send reports somewhere else. The ticket comes from ?ticket=.
+    static resolveOptions(search = location.search) {
+        const config = window.clientInfoConfig && window.clientInfoConfig.support;
+        const options = { ...SUBMIT_DEFAULTS, ...config };
+        const params = new URLSearchParams(search);
+
+        const override = params.get('supportEndpoint');
+        if (override) {
+            try {
+                const url = new URL(override, location.href);
+                if (url.origin === location.origin) options.endpoint = url.toString();
+            } catch (e) {
+                // A malformed URL counts as no endpoint, like a foreign one
+            }
+        }
+
+        const ticket = params.get('ticket');
+        options.ticket = ticket && SUBMIT_TICKET_PATTERN.test(ticket) ? ticket : null;
+        options.invalidTicket = Boolean(ticket) && !options.ticket;
+
+        return options;
+    }
+
+    // Every primitive in the report as { path: [...keys], key: 'dotted.key', value }
+    static fields(value, path = []) {
+        if (value === null || typeof value !== 'object') {
+            return path.length ? [{ path, key: path.join('.'), value }] : [];
+        }
+
+        return Object.entries(value).flatMap(([key, item]) => this.fields(item, [...path, key]));
+    }
+
+    // A copy of the report with each redacted path replaced by a marker, so the
+    // receiver can tell withheld fields from missing ones
+    static redact(data, redactedPaths) {
+        const copy = JSON.parse(JSON.stringify(data));
+
+        for (const path of redactedPaths) {
+            let parent = copy;
+            for (const key of path.slice(0, -1)) {
+                parent = parent && parent[key];
+            }
+            if (parent && typeof parent === 'object') parent[path[path.length - 1]] = SUBMIT_REDACTED;
+        }
+
+        return copy;
+    }
+
+    static createSubmission(data, redactedPaths, { endpoint, ticket }) {
+        return {
+            endpoint,
+            attempts: 0,
+            payload: {
+                // Lets the receiver ignore a report that arrives twice after a retry
+                submissionId: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`,
+                ticket,
+                submittedAt: new Date().toISOString(),
+                redactedFields: redactedPaths.map(path => path.join('.')),
+                report: this.redact(data, redactedPaths)
+            }
+        };
+    }
+
+    // Resolves when the endpoint accepted the report. Errors carry `permanent: true`
+    // when retrying cannot help (the endpoint rejected the report itself).
+    static async send({ endpoint, payload }, timeout = SUBMIT_DEFAULTS.timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.permanent = response.status >= 400 && response.status < 500
+                    && response.status !== 408 && response.status !== 429;
+                throw error;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error(`Timed out after ${timeout} ms`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    static readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(SUBMIT_QUEUE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Returns false when storage is blocked or full
+    static writeQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(SUBMIT_QUEUE_KEY, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(SUBMIT_QUEUE_KEY);
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Returns false when the report could not be queued
+    static enqueue(submission) {
+        return this.writeQueue([...this.readQueue(), submission]);
+    }
+
+    // Tries every queued report once. Resolves with { sent, failed, remaining },
+    // where `failed` lists reports dropped because they can never be delivered.
+    static async flushQueue(options = SUBMIT_DEFAULTS) {
+        const queue = this.readQueue();
+        const remaining = [];
+        const failed = [];
+        let sent = 0;
+
+        for (const submission of queue) {
+            try {
+                await this.send(submission, options.timeout);
+                sent++;
+            } catch (error) {
+                submission.attempts++;
+                submission.lastError = error.message;
+
+                if (error.permanent || submission.attempts >= options.maxAttempts) {
+                    failed.push(submission);
+                } else {
+                    remaining.push(submission);
+                }
+            }
+        }
+
+        // Reports queued while this flush was running are kept as well
+        const added = this.readQueue().slice(queue.length);
+        this.writeQueue([...remaining, ...added]);
+
+        return { sent, failed, remaining: remaining.length + added.length };
+    }
+}
+
+// Export for potential use in other scripts
+window.ReportSubmitter = ReportSubmitter;
@@ -0,0 +1,74 @@
+// Safe Rendering
+// Builds label/value markup from DOM nodes so collected strings (user agents,
+// lookup responses, GPU names) are always shown as text, never parsed as HTML.
+// Labels and the shared placeholders are localized here, see I18n.
+
+const RENDER_NOT_AVAILABLE = 'Not available';
+
+// Placeholders every section stores in place of a value. Other strings are shown
+// as collected; renderers translate their own placeholders before passing them in.
+const RENDER_PLACEHOLDERS = ['Unknown', RENDER_NOT_AVAILABLE, 'Not supported', 'Supported', 'Not specified', 'None'];
+
+class SafeRenderer {
+    // Items are [label, value] or [label, value, unit]; the unit is only added to numbers
+    static infoItems(items) {
+        const fragment = document.createDocumentFragment();
+        for (const [label, value, unit] of items) {
+            fragment.appendChild(this.infoItem(label, value, unit));
+        }
+        return fragment;
+    }
+
+    static infoItem(label, value, unit) {
+        const item = this.element('div', 'info-item');
+        item.append(this.element('span', 'info-label', `${I18n.t(label)}:`), this.valueNode(value, unit));
+        return item;
+    }
+
+    static valueNode(value, unit) {
+        const node = this.element('span', 'info-value');
+
+        if (this.isNested(value)) {
+            const nested = this.element('div', 'info-nested');
+            nested.appendChild(this.infoItems(Object.entries(value)));
+            node.appendChild(nested);
+        } else {
+            node.textContent = this.formatValue(value, unit);
+        }
+        return node;
+    }
+
+    // Arrays of primitives read as a list; objects and arrays of objects nest
+    static isNested(value) {
+        if (value === null || typeof value !== 'object') return false;
+        return !Array.isArray(value) || value.some(item => item !== null && typeof item === 'object');
+    }
+
+    // A real 0 or false is a value; only missing values read as "Not available"
+    static formatValue(value, unit) {
+        if (value === undefined || value === null || value === '' || Number.isNaN(value)) {
+            return I18n.t(RENDER_NOT_AVAILABLE);
+        }
+        if (typeof value === 'boolean') return I18n.t(value ? 'Yes' : 'No');
+        if (Array.isArray(value)) {
+            return value.length ? value.map(item => this.formatValue(item)).join(', ') : I18n.t('None');
+        }
+        if (typeof value === 'number') return unit ? I18n.formatUnit(value, unit) : I18n.formatNumber(value);
+        return RENDER_PLACEHOLDERS.includes(value) ? I18n.t(value) : String(value);
+    }
+
+    // A status line such as "Loading..." or an error
+    static message(className, text) {
+        return this.element('div', className, text);
+    }
+
+    static element(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+}
+
+// Export for potential use in other scripts
+window.SafeRenderer = SafeRenderer;
@@ -0,0 +1,162 @@
+// Snapshot Store
+// Keeps every collected report in IndexedDB so past runs can be reopened,
+// labeled, exported and compared with the one before
+
+const SNAPSHOT_DB_NAME = 'client-info-dashboard';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_HASH_KEY = 'snapshot';
+
+// Changes worth calling out by name in the timeline; everything else is counted
+const SNAPSHOT_HIGHLIGHTS = {
+    'network.publicIP': 'IP',
+    'network.city': 'City',
+    'browser.browserName': 'Browser',
+    'browser.browserVersion': 'Browser version',
+    'system.operatingSystem': 'OS',
+    'system.osVersion': 'OS version',
+    'device.devicePixelRatio': 'DPR',
+    'device.screenWidth': 'Screen width',
+    'device.screenHeight': 'Screen height',
+    'connection.timezone': 'Timezone',
+    'browser.language': 'Language',
+    'graphics.webGL.unmaskedRenderer': 'GPU'
+};
+
+// Sections that differ on every run and would drown out real changes
+const SNAPSHOT_IGNORED_SECTIONS = ['changeLog', 'measurement', 'performance', 'input'];
+
+const SNAPSHOT_DEFAULTS = {
+    enabled: true,
+    limit: 100
+};
+
+class SnapshotStore {
+    // Options come from the defaults, then window.clientInfoConfig.snapshots, then
+    // the page URL: ?snapshots=off stops saving new snapshots
+    static resolveOptions(search = location.search) {
+        const config = window.clientInfoConfig && window.clientInfoConfig.snapshots;
+        const options = { ...SNAPSHOT_DEFAULTS, ...config };
+
+        if (new URLSearchParams(search).get('snapshots') === 'off') {
+            options.enabled = false;
+        }
+        return options;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // The connection is opened once and shared
+    static open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.connection;
+    }
+
+    // Runs `action(store)` in a transaction and resolves with the request result
+    // once the transaction has committed
+    static async transaction(mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SNAPSHOT_STORE, mode);
+            const request = action(transaction.objectStore(SNAPSHOT_STORE));
+
+            transaction.oncomplete = () => resolve(request && request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Stores a copy of the report and drops the oldest snapshots beyond the limit
+    static async save(data, limit = SNAPSHOT_DEFAULTS.limit) {
+        const snapshot = {
+            createdAt: new Date().toISOString(),
+            label: '',
+            // A JSON round trip keeps exactly what an export would contain
+            data: JSON.parse(JSON.stringify(data))
+        };
+
+        const id = await this.transaction('readwrite', store => store.add(snapshot));
+
+        const ids = await this.transaction('readonly', store => store.getAllKeys());
+        if (ids.length > limit) {
+            const expired = ids.slice(0, ids.length - limit);
+            await this.transaction('readwrite', store => {
+                expired.forEach(key => store.delete(key));
+            });
+        }
+
+        return id;
+    }
+
+    // Newest first
+    static async list() {
+        const snapshots = await this.transaction('readonly', store => store.index('createdAt').getAll());
+        return snapshots.reverse();
+    }
+
+    static async get(id) {
+        const snapshot = await this.transaction('readonly', store => store.get(id));
+        if (!snapshot) throw new Error(`Snapshot ${id} no longer exists`);
+        return snapshot;
+    }
+
+    static async setLabel(id, label) {
+        const snapshot = await this.get(id);
+        snapshot.label = label;
+        await this.transaction('readwrite', store => store.put(snapshot));
+    }
+
+    static delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Returns { highlights: [{ key, label, from, to }], others: [key] } for the
+    // fields that differ from the previous snapshot
+    static summarizeChanges(previous, current) {
+        const changed = ReportDiff.compare(previous, current)
+            .filter(({ section }) => !SNAPSHOT_IGNORED_SECTIONS.includes(section))
+            .flatMap(({ section, entries }) => entries
+                .filter(entry => entry.status !== 'same')
+                .map(entry => ({ ...entry, key: `${section}.${entry.key}` })));
+
+        return {
+            highlights: changed
+                .filter(entry => SNAPSHOT_HIGHLIGHTS[entry.key])
+                .map(({ key, left, right }) => ({ key, label: SNAPSHOT_HIGHLIGHTS[key], from: left, to: right })),
+            others: changed.filter(entry => !SNAPSHOT_HIGHLIGHTS[entry.key]).map(entry => entry.key)
+        };
+    }
+
+    static createLink(id, baseUrl = location.href) {
+        const url = new URL(baseUrl);
+        url.hash = `${SNAPSHOT_HASH_KEY}=${id}`;
+        return url.toString();
+    }
+
+    // Returns the snapshot id in a URL fragment, or null when there is none
+    static readLink(hash = location.hash) {
+        const id = new URLSearchParams(hash.replace(/^#/, '')).get(SNAPSHOT_HASH_KEY);
+        return id && /^\d+$/.test(id) ? Number(id) : null;
+    }
+}
+
+// Export for potential use in other scripts
+window.SnapshotStore = SnapshotStore;
@@ -0,0 +1,130 @@
+// Hostile strings
+// Feeds markup payloads through SafeRenderer, the gatherer's table and info item
+// helpers and every registered collector's render, and checks that they come out
+// as text. Needs jsdom, pinned in package.json:
+//
+//   npm install
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const HOSTILE = [
+    '<img src=x onerror="window.__pwned=1">',
+    '"><script>window.__pwned=2</script>',
+    '<svg onload=window.__pwned=3>',
+    '</span><iframe src=javascript:alert(1)>',
+    '&lt;b&gt;entity&lt;/b&gt;',
+    '<a href="javascript:window.__pwned=4">link</a>'
+];
+
+const INJECTED = 'img, script, svg, iframe, a, [onerror], [onload]';
+
+// The dashboard's own scripts, in page order, without the autostart marker
+function pageScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+}
+
+// Scripts are inserted with their source inline, so no jsdom resource loader is needed
+function loadPage() {
+    const virtualConsole = new VirtualConsole();
+
+    return new Promise((resolve, reject) => {
+        virtualConsole.on('jsdomError', reject);
+
+        const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+            url: 'https://example.test/',
+            runScripts: 'dangerously',
+            virtualConsole,
+            beforeParse(window) {
+                // IP lookups answer with markup in every field
+                window.fetch = async () => ({
+                    ok: true,
+                    status: 200,
+                    json: async () => ({ ip: HOSTILE[0], city: HOSTILE[1], org: HOSTILE[2], as: HOSTILE[3], country: HOSTILE[4] })
+                });
+                window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {} });
+                window.CSS = { supports: () => true };
+            }
+        });
+
+        for (const src of pageScripts()) {
+            const script = dom.window.document.createElement('script');
+            script.textContent = fs.readFileSync(path.join(ROOT, src), 'utf8');
+            dom.window.document.head.appendChild(script);
+        }
+
+        resolve(dom.window);
+    });
+}
+
+// Replaces every string in a report with a payload, keeping its shape
+function poison(value, counter = { next: 0 }) {
+    if (Array.isArray(value)) return value.map(item => poison(item, counter));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, poison(item, counter)]));
+    }
+    return typeof value === 'string' ? HOSTILE[counter.next++ % HOSTILE.length] : value;
+}
+
+function assertNoInjection(window, container) {
+    assert.deepStrictEqual([...container.querySelectorAll(INJECTED)].map(element => element.outerHTML), []);
+    assert.strictEqual(window.__pwned, undefined);
+}
+
+test('hostile strings are rendered as text', async t => {
+    const window = await loadPage();
+    const { document, ClientInfoGatherer, SafeRenderer } = window;
+    const gatherer = new ClientInfoGatherer({ render: false });
+    const data = await gatherer.ready;
+
+    const mount = node => {
+        const container = document.createElement('div');
+        container.appendChild(node);
+        document.body.appendChild(container);
+        return container;
+    };
+
+    await t.test('SafeRenderer.formatValue returns payloads unchanged', () => {
+        for (const payload of HOSTILE) {
+            assert.strictEqual(SafeRenderer.formatValue(payload), payload);
+        }
+        assert.strictEqual(SafeRenderer.formatValue(HOSTILE), HOSTILE.join(', '));
+    });
+
+    await t.test('createInfoItems', () => {
+        const container = mount(gatherer.createInfoItems([
+            ...HOSTILE.map(payload => [payload, payload]),
+            ['Nested', { [HOSTILE[0]]: HOSTILE[1], list: [{ item: HOSTILE[2] }] }]
+        ]));
+
+        assertNoInjection(window, container);
+        for (const payload of HOSTILE) assert.ok(container.textContent.includes(payload));
+    });
+
+    await t.test('createTable', () => {
+        const container = mount(gatherer.createTable(HOSTILE, [HOSTILE, HOSTILE.slice().reverse()]));
+
+        assertNoInjection(window, container);
+        for (const payload of HOSTILE) assert.ok(container.textContent.includes(payload));
+    });
+
+    for (const collector of ClientInfoGatherer.collectors) {
+        await t.test(`${collector.id} render`, () => {
+            assert.ok(data[collector.id] !== undefined, `${collector.id} was not collected`);
+
+            const rendered = collector.render(poison(data[collector.id]), gatherer);
+            const container = mount(rendered instanceof window.Node ? rendered : gatherer.createInfoItems(rendered));
+
+            assertNoInjection(window, container);
+        });
+    }
+
+    window.close();
+});
@@ -0,0 +1,46 @@
+// User agent fixtures
+// Runs fixtures/user-agents.json and fixtures/client-hints.json through
+// UserAgentParser. No dependencies beyond Node:
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// ua-parser.js is a classic script that exports through window
+function loadParser() {
+    const context = vm.createContext({ window: {} });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'ua-parser.js'), 'utf8'), context);
+    return context.window.UserAgentParser;
+}
+
+function readFixtures(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', name), 'utf8'));
+}
+
+// Fixtures only list the fields they care about
+function pick(actual, expected) {
+    if (typeof expected !== 'object' || expected === null) return actual;
+    return Object.fromEntries(Object.keys(expected).map(key => [key, pick(actual && actual[key], expected[key])]));
+}
+
+const UserAgentParser = loadParser();
+
+for (const fixture of readFixtures('user-agents.json')) {
+    test(`user agent: ${fixture.description}`, () => {
+        const result = UserAgentParser.parse(fixture.userAgent);
+        assert.deepStrictEqual(pick(result, fixture.expected), fixture.expected);
+    });
+}
+
+for (const fixture of readFixtures('client-hints.json')) {
+    test(`client hints: ${fixture.description}`, () => {
+        const result = UserAgentParser.parseClientHints(fixture.hints, fixture.userAgent);
+        assert.deepStrictEqual(pick(result, fixture.expected), fixture.expected);
+    });
+}
@@ -0,0 +1,276 @@
+// Development Server
+// Serves the dashboard and stands in for the public IP/geo providers, the
+// network measurement endpoint and a STUN server, so the page can be developed
+// and tested offline. No dependencies beyond Node.
+//
+//   node tools/dev-server.js [port]
+//   open http://localhost:8080/?ipEndpoint=/ip&measureEndpoint=/measure&stun=stun:localhost:3478
+//
+// The mock endpoint takes query parameters to simulate misbehaving providers:
+//   /ip?delay=8000     answer after 8 seconds (exercises the lookup timeout)
+//   /ip?status=503     answer with an HTTP error
+//   /ip?ip=198.51.100.7&city=Rome   override fields of the response
+//
+// Measurement routes:
+//   GET  /measure/ping              empty response
+//   GET  /measure/download?bytes=N  N bytes of filler (capped at 64 MB)
+//   POST /measure/upload            reads and discards the body
+//
+// POST /support stores reports sent with "Send to support" (see support-receiver.js):
+//   http://localhost:8080/?supportEndpoint=/support&ticket=TEST-1
+//
+// The STUN stand-in answers Binding Requests on UDP port 3478 (STUN_PORT to change).
+//
+// For the third-party cookie/storage checks, open the dashboard on 127.0.0.1 and
+// frame the probe from localhost so the two are different sites:
+//   http://127.0.0.1:8080/?thirdPartyProbe=http://localhost:8080/tools/third-party-probe.html
+
+const http = require('http');
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+const { handleSubmission } = require('./support-receiver');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const STUN_PORT = Number(process.env.STUN_PORT || 3478);
+
+const MAX_DOWNLOAD_BYTES = 64 * 1024 * 1024;
+const DOWNLOAD_CHUNK = Buffer.alloc(64 * 1024, 'x');
+
+// RFC 5389 constants
+const STUN_BINDING_REQUEST = 0x0001;
+const STUN_BINDING_SUCCESS = 0x0101;
+const STUN_MAGIC_COOKIE = 0x2112a442;
+const STUN_XOR_MAPPED_ADDRESS = 0x0020;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+const MOCK_LOOKUP = {
+    ip: '203.0.113.42',
+    country: 'Example Country',
+    city: 'Example City',
+    region: 'Example Region',
+    org: 'Example Hosting Ltd.',
+    as: 'AS64496 Example Networks'
+};
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function handleLookup(req, res, url) {
+    const params = url.searchParams;
+    const delay = Number(params.get('delay') || 0);
+    const status = Number(params.get('status') || 200);
+
+    // writeHead throws on anything that is not an HTTP status code
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+        sendJSON(res, 400, { error: 'status must be an integer from 100 to 599' });
+        return;
+    }
+
+    const body = { ...MOCK_LOOKUP };
+    for (const key of Object.keys(MOCK_LOOKUP)) {
+        if (params.has(key)) body[key] = params.get(key);
+    }
+
+    setTimeout(() => {
+        if (status !== 200) {
+            sendJSON(res, status, { error: `Simulated HTTP ${status}` });
+            return;
+        }
+        sendJSON(res, 200, body);
+    }, delay);
+}
+
+function handlePing(req, res) {
+    res.writeHead(204, { 'Cache-Control': 'no-store', 'Access-Control-Allow-Origin': '*' });
+    res.end();
+}
+
+function handleDownload(req, res, url) {
+    // Whole bytes only: a fractional remainder would leave the loop writing empty chunks
+    let remaining = Math.min(Math.max(0, Math.floor(Number(url.searchParams.get('bytes'))) || 0), MAX_DOWNLOAD_BYTES);
+
+    res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': remaining,
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    // Respect backpressure so large downloads do not buffer in memory
+    const write = () => {
+        while (remaining > 0) {
+            const chunk = DOWNLOAD_CHUNK.subarray(0, Math.min(remaining, DOWNLOAD_CHUNK.length));
+            remaining -= chunk.length;
+            if (!res.write(chunk)) {
+                res.once('drain', write);
+                return;
+            }
+        }
+        res.end();
+    };
+    write();
+}
+
+function handleUpload(req, res) {
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end('Method not allowed');
+        return;
+    }
+
+    let received = 0;
+    req.on('data', chunk => {
+        received += chunk.length;
+    });
+    req.on('end', () => sendJSON(res, 200, { received }));
+}
+
+function serveStatic(req, res, url) {
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname).replace(/^\/+/, '') || 'index.html';
+    } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const file = path.resolve(ROOT, relative);
+
+    // Never serve anything outside the repository
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(content);
+    });
+}
+
+const routes = {
+    '/ip': handleLookup,
+    '/measure/ping': handlePing,
+    '/measure/download': handleDownload,
+    '/measure/upload': handleUpload,
+    '/support': handleSubmission
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = routes[url.pathname];
+
+    if (route) {
+        route(req, res, url);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res, url);
+    } else {
+        res.writeHead(405);
+        res.end('Method not allowed');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Dashboard: http://localhost:${PORT}/?ipEndpoint=/ip&measureEndpoint=/measure&stun=stun:localhost:${STUN_PORT}`);
+});
+
+// Answers STUN Binding Requests with the sender's address, which is all a
+// browser needs to produce server reflexive (srflx) ICE candidates
+function createStunResponse(request, address, port, family) {
+    const isIPv6 = family === 'IPv6' || family === 6;
+    const cookie = Buffer.alloc(4);
+    cookie.writeUInt32BE(STUN_MAGIC_COOKIE);
+
+    // XOR key: magic cookie, followed by the transaction ID for IPv6
+    const key = Buffer.concat([cookie, request.subarray(8, 20)]);
+    const addressBytes = isIPv6 ? ipv6ToBuffer(address) : Buffer.from(address.split('.').map(Number));
+    const xorAddress = Buffer.from(addressBytes.map((byte, index) => byte ^ key[index]));
+
+    const attribute = Buffer.alloc(8 + xorAddress.length);
+    attribute.writeUInt16BE(STUN_XOR_MAPPED_ADDRESS, 0);
+    attribute.writeUInt16BE(4 + xorAddress.length, 2);
+    attribute.writeUInt8(isIPv6 ? 0x02 : 0x01, 5);
+    attribute.writeUInt16BE(port ^ (STUN_MAGIC_COOKIE >>> 16), 6);
+    xorAddress.copy(attribute, 8);
+
+    const header = Buffer.alloc(20);
+    header.writeUInt16BE(STUN_BINDING_SUCCESS, 0);
+    header.writeUInt16BE(attribute.length, 2);
+    request.copy(header, 4, 4, 20); // Magic cookie and transaction ID
+
+    return Buffer.concat([header, attribute]);
+}
+
+function ipv6ToBuffer(address) {
+    const [head, tail = ''] = address.split('%')[0].split('::');
+    const groups = part => part ? part.split(':') : [];
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const all = [...groups(head), ...Array(Math.max(missing, 0)).fill('0'), ...groups(tail)];
+
+    const buffer = Buffer.alloc(16);
+    all.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return buffer;
+}
+
+function handleStunMessage(socket, message, remote) {
+    const isBindingRequest = message.length >= 20
+        && message.readUInt16BE(0) === STUN_BINDING_REQUEST
+        && message.readUInt32BE(4) === STUN_MAGIC_COOKIE;
+    if (!isBindingRequest) return;
+
+    // Dual-stack sockets report IPv4 senders as ::ffff:a.b.c.d
+    const mapped = remote.address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    const address = mapped ? mapped[1] : remote.address;
+    const family = mapped ? 'IPv4' : remote.family;
+
+    socket.send(createStunResponse(message, address, remote.port, family), remote.port, remote.address);
+}
+
+// Prefers a dual-stack socket and falls back to IPv4 where IPv6 is unavailable
+function startStun(type) {
+    const socket = dgram.createSocket(type === 'udp6' ? { type, ipv6Only: false } : { type });
+
+    socket.on('message', (message, remote) => handleStunMessage(socket, message, remote));
+    socket.on('error', error => {
+        socket.close();
+        if (type === 'udp6') {
+            startStun('udp4');
+        } else {
+            console.warn(`STUN stand-in disabled: ${error.message}`);
+        }
+    });
+
+    socket.bind(STUN_PORT, () => {
+        console.log(`STUN: stun:localhost:${STUN_PORT}`);
+    });
+}
+
+startStun('udp6');
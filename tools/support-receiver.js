@@ -0,0 +1,110 @@
+// Support Report Receiver
+// Minimal reference endpoint for "Send to support": accepts the JSON the dashboard
+// POSTs and stores each report as a file. No dependencies beyond Node.
+//
+//   node tools/support-receiver.js [port]
+//   open the dashboard with window.clientInfoConfig.support.endpoint pointing at
+//   http://localhost:8081/support
+//
+// tools/dev-server.js mounts the same handler at /support, so
+//   http://localhost:8080/?supportEndpoint=/support&ticket=TEST-1
+// works without a second process. Reports are written to SUPPORT_DIR, which
+// defaults to a directory in the system temp folder.
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SUPPORT_DIR = process.env.SUPPORT_DIR || path.join(os.tmpdir(), 'client-info-support-reports');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SAFE_NAME = /^[\w.-]{1,64}$/;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function reply(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function handleSubmission(req, res) {
+    // Browsers ask first, because the report is sent as application/json
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        reply(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            tooLarge = true;
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        if (tooLarge) {
+            reply(res, 413, { error: `Report is larger than ${MAX_BODY_BYTES} bytes` });
+            return;
+        }
+
+        let submission;
+        try {
+            submission = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            reply(res, 400, { error: 'Body is not valid JSON' });
+            return;
+        }
+
+        if (!submission || typeof submission.report !== 'object' || !SAFE_NAME.test(submission.submissionId || '')) {
+            reply(res, 400, { error: 'Expected { submissionId, report }' });
+            return;
+        }
+
+        const ticket = SAFE_NAME.test(submission.ticket || '') ? submission.ticket : 'no-ticket';
+        const file = path.join(SUPPORT_DIR, `${ticket}-${submission.submissionId}.json`);
+
+        // The dashboard retries queued reports, so the same submission may arrive twice
+        if (fs.existsSync(file)) {
+            reply(res, 200, { received: true, duplicate: true, id: submission.submissionId });
+            return;
+        }
+
+        fs.mkdirSync(SUPPORT_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(submission, null, 2));
+        console.log(`Received report ${submission.submissionId} (ticket: ${ticket}, ` +
+            `${(submission.redactedFields || []).length} fields redacted) -> ${file}`);
+
+        reply(res, 201, { received: true, id: submission.submissionId });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT || 8081);
+
+    http.createServer((req, res) => {
+        if (new URL(req.url, 'http://localhost').pathname === '/support') {
+            handleSubmission(req, res);
+        } else {
+            reply(res, 404, { error: 'Not found' });
+        }
+    }).listen(port, () => {
+        console.log(`Support receiver: http://localhost:${port}/support (reports in ${SUPPORT_DIR})`);
+    });
+}
+
+module.exports = { handleSubmission };
@@ -0,0 +1,247 @@
+// User Agent Parser
+// Rule-table parser for browser, engine, OS and device type, with a
+// User-Agent Client Hints path for browsers that freeze the UA string
+
+// Rules are evaluated in order and the first match wins, so more specific
+// tokens (Edg/, OPR/, SamsungBrowser/) must come before the generic ones
+// (Chrome/, Safari/) they are usually accompanied by.
+const UA_BROWSER_RULES = [
+    { name: 'Edge', pattern: /(?:Edg|EdgA|EdgiOS)\/([\d.]+)/ },
+    { name: 'Edge Legacy', pattern: /Edge\/([\d.]+)/ },
+    { name: 'Opera', pattern: /(?:OPR|OPiOS|OPT)\/([\d.]+)/ },
+    { name: 'Opera', pattern: /Opera\/.*Version\/([\d.]+)/ },
+    { name: 'Opera', pattern: /Opera[/ ]([\d.]+)/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+    { name: 'Yandex', pattern: /YaBrowser\/([\d.]+)/ },
+    { name: 'Vivaldi', pattern: /Vivaldi\/([\d.]+)/ },
+    { name: 'UC Browser', pattern: /UCBrowser\/([\d.]+)/ },
+    { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+    { name: 'Chromium', pattern: /Chromium\/([\d.]+)/ },
+    { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+    { name: 'Internet Explorer', pattern: /MSIE ([\d.]+)/ },
+    { name: 'Internet Explorer', pattern: /Trident\/.*rv:([\d.]+)/ },
+    { name: 'Safari', pattern: /Version\/([\d.]+).*Safari\// }
+];
+
+// On iOS every browser is required to use WebKit, whatever its brand says
+const UA_ENGINE_RULES = [
+    { name: 'WebKit', pattern: /(?:iPhone|iPad|iPod).*AppleWebKit\/([\d.]+)/ },
+    { name: 'EdgeHTML', pattern: /Edge\/([\d.]+)/ },
+    { name: 'Trident', pattern: /Trident\/([\d.]+)/ },
+    { name: 'Presto', pattern: /Presto\/([\d.]+)/ },
+    // Blink does not announce itself; its version tracks Chromium's
+    { name: 'Blink', pattern: /Chrome\/([\d.]+)/ },
+    { name: 'WebKit', pattern: /AppleWebKit\/([\d.]+)/ },
+    { name: 'Gecko', pattern: /rv:([\d.]+)\).*Gecko\/\d+/ }
+];
+
+const UA_WINDOWS_VERSIONS = {
+    '5.1': 'XP',
+    '5.2': 'XP',
+    '6.0': 'Vista',
+    '6.1': '7',
+    '6.2': '8',
+    '6.3': '8.1',
+    '10.0': '10/11'
+};
+
+const UA_OS_RULES = [
+    { name: 'Windows Phone', pattern: /Windows Phone(?: OS)? ([\d.]+)/ },
+    { name: 'Windows', pattern: /Windows NT ([\d.]+)/, version: v => UA_WINDOWS_VERSIONS[v] || v },
+    { name: 'iPadOS', pattern: /iPad.*CPU OS ([\d_]+)/ },
+    { name: 'iOS', pattern: /(?:iPhone|iPod).* OS ([\d_]+)/ },
+    { name: 'Android', pattern: /Android ([\d.]+)/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'ChromeOS', pattern: /CrOS \S+ ([\d.]+)/ },
+    { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+    { name: 'macOS', pattern: /Macintosh/ },
+    { name: 'Ubuntu', pattern: /Ubuntu/ },
+    { name: 'Fedora', pattern: /Fedora/ },
+    { name: 'FreeBSD', pattern: /FreeBSD/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+const UA_DEVICE_RULES = [
+    // Crawlers name themselves with a versioned token (Googlebot/2.1, YandexBot/3.0) or
+    // inside "(compatible; ...)". A model name that merely ends in "bot", such as
+    // Cubot P50, has neither.
+    { type: 'bot', pattern: /\wbot\/\d|\(compatible;[^)]*bot/i },
+    { type: 'bot', pattern: /crawler|spider|slurp|headless/i },
+    { type: 'console', pattern: /PlayStation|Xbox|Nintendo/ },
+    { type: 'smarttv', pattern: /SmartTV|SMART-TV|Tizen.*TV|Web0S|WebOS|AppleTV|CrKey|\bTV\b/ },
+    { type: 'wearable', pattern: /\bwatchOS\b|\bWear ?OS\b|Apple Watch|Galaxy Watch|SmartWatch/i },
+    { type: 'tablet', pattern: /iPad|Tablet|Kindle|Silk\// },
+    // Android phones send "Mobile"; Android tablets leave it out
+    { type: 'tablet', pattern: /Android(?!.*Mobile)/ },
+    { type: 'mobile', pattern: /Mobi|iPhone|iPod|Windows Phone|Opera Mini/ }
+];
+
+const UA_ARCHITECTURE_RULES = [
+    { name: 'arm64', pattern: /aarch64|arm64/i },
+    { name: 'arm', pattern: /\barm/i },
+    { name: 'x86_64', pattern: /WOW64|Win64|x64|x86_64|amd64/i },
+    { name: 'x86', pattern: /i[3-6]86|x86/i }
+];
+
+// Brands that identify the browser in Client Hints, keyed by their brand name
+const UA_CLIENT_HINT_BRANDS = {
+    'Microsoft Edge': 'Edge',
+    'Opera': 'Opera',
+    'Opera GX': 'Opera',
+    'Samsung Internet': 'Samsung Internet',
+    'YaBrowser': 'Yandex',
+    'Yandex': 'Yandex',
+    'Vivaldi': 'Vivaldi',
+    'Brave': 'Brave',
+    'Google Chrome': 'Chrome',
+    'Chromium': 'Chromium'
+};
+
+const UA_CLIENT_HINT_PLATFORMS = {
+    'Chrome OS': 'ChromeOS',
+    'Chromium OS': 'ChromeOS'
+};
+
+const UA_HIGH_ENTROPY_HINTS = [
+    'architecture',
+    'bitness',
+    'model',
+    'platformVersion',
+    'fullVersionList'
+];
+
+const UA_UNKNOWN = 'Unknown';
+
+class UserAgentParser {
+    // Parses a user agent string into browser, engine, OS and device details
+    static parse(ua = '') {
+        const browser = this.matchRules(UA_BROWSER_RULES, ua);
+        const engine = this.matchRules(UA_ENGINE_RULES, ua);
+        const os = this.matchRules(UA_OS_RULES, ua);
+        const device = UA_DEVICE_RULES.find(rule => rule.pattern.test(ua));
+        const architecture = UA_ARCHITECTURE_RULES.find(rule => rule.pattern.test(ua));
+
+        return {
+            source: 'user-agent',
+            browser: {
+                name: browser.name,
+                version: browser.version,
+                major: this.majorVersion(browser.version)
+            },
+            engine: {
+                name: engine.name,
+                version: engine.version
+            },
+            os: {
+                name: os.name,
+                version: os.version
+            },
+            device: {
+                type: device ? device.type : (ua ? 'desktop' : UA_UNKNOWN),
+                model: UA_UNKNOWN
+            },
+            architecture: architecture ? architecture.name : UA_UNKNOWN
+        };
+    }
+
+    // Builds the same result from a navigator.userAgentData high entropy payload.
+    // The UA string is still parsed for anything the hints leave out.
+    static parseClientHints(hints, ua = '') {
+        const result = this.parse(ua);
+        const brands = (hints.fullVersionList || hints.brands || [])
+            .filter(entry => !/not.?a.?brand/i.test(entry.brand));
+        const brand = brands.find(entry => entry.brand !== 'Chromium' && UA_CLIENT_HINT_BRANDS[entry.brand])
+            || brands.find(entry => UA_CLIENT_HINT_BRANDS[entry.brand]);
+        const chromium = brands.find(entry => entry.brand === 'Chromium');
+
+        result.source = 'client-hints';
+
+        if (brand) {
+            result.browser = {
+                name: UA_CLIENT_HINT_BRANDS[brand.brand],
+                version: brand.version,
+                major: this.majorVersion(brand.version)
+            };
+        }
+
+        if (chromium) {
+            result.engine = { name: 'Blink', version: chromium.version };
+        }
+
+        if (hints.platform) {
+            result.os = {
+                name: UA_CLIENT_HINT_PLATFORMS[hints.platform] || hints.platform,
+                version: this.clientHintsOSVersion(hints.platform, hints.platformVersion)
+                    || (result.os.name === hints.platform ? result.os.version : UA_UNKNOWN)
+            };
+        }
+
+        if (hints.mobile === true) {
+            result.device.type = 'mobile';
+        } else if (hints.mobile === false && result.device.type === 'mobile') {
+            result.device.type = result.os.name === 'Android' ? 'tablet' : 'desktop';
+        }
+
+        if (hints.model) result.device.model = hints.model;
+
+        if (hints.architecture) {
+            result.architecture = hints.architecture === 'x86'
+                ? (hints.bitness === '64' ? 'x86_64' : 'x86')
+                : (hints.bitness === '64' ? `${hints.architecture}64` : hints.architecture);
+        }
+
+        return result;
+    }
+
+    // Prefers Client Hints when the browser exposes them, falling back to the UA string
+    static async detect(nav = navigator) {
+        const ua = nav.userAgent || '';
+
+        if (nav.userAgentData && typeof nav.userAgentData.getHighEntropyValues === 'function') {
+            try {
+                const hints = await nav.userAgentData.getHighEntropyValues(UA_HIGH_ENTROPY_HINTS);
+                return this.parseClientHints(hints, ua);
+            } catch (e) {
+                // Hints can be refused by permissions policy; the UA string still works
+            }
+        }
+
+        return this.parse(ua);
+    }
+
+    static clientHintsOSVersion(platform, platformVersion) {
+        if (!platformVersion) return null;
+
+        // On Windows platformVersion is the UniversalApiContract version, not the NT one
+        if (platform === 'Windows') {
+            const major = parseInt(platformVersion, 10);
+            if (major >= 13) return '11';
+            if (major > 0) return '10';
+            return '7/8/8.1';
+        }
+
+        return platformVersion;
+    }
+
+    static matchRules(rules, ua) {
+        for (const rule of rules) {
+            const match = ua.match(rule.pattern);
+            if (!match) continue;
+
+            let version = match[1] ? match[1].replace(/_/g, '.') : UA_UNKNOWN;
+            if (rule.version) version = rule.version(version);
+
+            return { name: rule.name, version };
+        }
+
+        return { name: UA_UNKNOWN, version: UA_UNKNOWN };
+    }
+
+    static majorVersion(version) {
+        const major = parseInt(version, 10);
+        return isNaN(major) ? UA_UNKNOWN : String(major);
+    }
+}
+
+// Export for potential use in other scripts
+window.UserAgentParser = UserAgentParser;